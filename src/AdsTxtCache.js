@@ -1,9 +1,30 @@
+import * as path from "$std/path/mod.ts";
+import { logger } from "./logger.js";
+import { fetchWithRetries } from "./fetchWithRetries.js";
+
 /**
  * @typedef FetchAdsTxtResult
  * @property {boolean} fresh
  * @property {string} content
  */
 
+/**
+ * @typedef FetchAdsTxtOptions
+ * @property {string} [cacheDirectory] Absolute path to a directory where fetched content is stored,
+ * so that it can still be used after the process restarts.
+ * @property {number} [maxStaleMs] When a request fails, cached content older than this is no longer used.
+ * @property {number} [timeoutMs] Duration in milliseconds after which a request is aborted.
+ * @property {number} [retries] How many times a failed request is retried before falling back to the cache.
+ * @property {number} [retryDelayMs] Delay before the first retry, the delay is doubled for every next retry.
+ */
+
+/**
+ * @typedef FetchResponse
+ * @property {number} status
+ * @property {Object<string, string>} headers
+ * @property {string} content
+ */
+
 /**
  * Caches previously fetched ads.txt urls and allows you to fetch ads.txts with a set cache duration.
  * If the request fails, or the cache is still fresh enough, an old cached value will be returned.
@@ -13,46 +34,186 @@ export class AdsTxtCache {
 	 * @typedef CachedAdsTxt
 	 * @property {string} content
 	 * @property {number} fetchTime Time at which the content was requested.
+	 * @property {number} [status] The status code of the response.
+	 * @property {Object<string, string>} [headers] The headers of the response.
 	 */
 	/** @type {Map<string, CachedAdsTxt>} */
 	#cachedAdsTxts = new Map();
+	#metrics;
+
+	/**
+	 * @param {import("./Metrics.js").Metrics?} metrics Collects the results and durations of requests.
+	 */
+	constructor(metrics = null) {
+		this.#metrics = metrics;
+	}
 
 	/**
 	 * @param {string} url The url to fetch from.
 	 * @param {number} cacheDurationMs Duration in milliseconds for which no new requests will be made.
+	 * @param {FetchAdsTxtOptions} options
 	 * @returns {Promise<FetchAdsTxtResult>}
 	 */
-	async fetchAdsTxt(url, cacheDurationMs = 60 * 60 * 1000) {
+	async fetchAdsTxt(url, cacheDurationMs = 60 * 60 * 1000, {
+		cacheDirectory,
+		maxStaleMs = Infinity,
+		timeoutMs = 30_000,
+		retries = 0,
+		retryDelayMs = 1000,
+	} = {}) {
 		let existing = this.#cachedAdsTxts.get(url);
+		if (!existing && cacheDirectory) {
+			existing = await this.#loadFromDisk(url, cacheDirectory);
+			if (existing) this.#cachedAdsTxts.set(url, existing);
+		}
 		let fresh = (existing || false) && Date.now() - existing.fetchTime < cacheDurationMs;
 		if (!fresh) {
 			const fetchTime = Date.now();
-			let response;
-			try {
-				response = await fetch(url);
-			} catch (e) {
-				if (e instanceof TypeError) {
-					// If a network error occurs we don't want to throw and just return a cached value instead.
-				} else {
-					throw e;
-				}
+			/** @type {Object<string, string>} */
+			const headers = {};
+			if (existing?.headers?.etag) {
+				headers["If-None-Match"] = existing.headers.etag;
+			}
+			if (existing?.headers?.["last-modified"]) {
+				headers["If-Modified-Since"] = existing.headers["last-modified"];
 			}
-			if (response && response.ok) {
-				const content = await response.text();
+			const response = await this.#fetchWithRetries(url, headers, { timeoutMs, retries, retryDelayMs });
+			if (response && response.status == 304 && existing) {
+				// The content hasn't changed since the last request, so we only need to update the fetch time.
+				existing = {
+					...existing,
+					fetchTime,
+					headers: { ...existing.headers, ...response.headers },
+				};
+				fresh = true;
+				this.#cachedAdsTxts.set(url, existing);
+				if (cacheDirectory) {
+					await this.#saveToDisk(url, cacheDirectory, existing);
+				}
+			} else if (response && response.status != 304) {
 				existing = {
 					fetchTime,
-					content,
+					content: response.content,
+					status: response.status,
+					headers: response.headers,
 				};
 				fresh = true;
 				this.#cachedAdsTxts.set(url, existing);
+				if (cacheDirectory) {
+					await this.#saveToDisk(url, cacheDirectory, existing);
+				}
 			}
 		}
 		if (!existing) {
 			throw new Error(`Failed to fetch "${url}" and no existing content was found in the cache.`);
 		}
+		if (!fresh && Date.now() - existing.fetchTime > maxStaleMs) {
+			const fetchDate = new Date(existing.fetchTime).toUTCString();
+			const message =
+				`Failed to fetch "${url}" and the cached content from ${fetchDate} has exceeded its maximum staleness.`;
+			logger.error(`${message} The content will no longer be included.`);
+			throw new Error(message);
+		}
 		return {
 			fresh,
 			content: existing.content,
 		};
 	}
+
+	/**
+	 * Fetches the url and retries with exponential backoff when the request fails.
+	 * @param {string} url
+	 * @param {Object<string, string>} headers
+	 * @param {Required<Pick<FetchAdsTxtOptions, "timeoutMs" | "retries" | "retryDelayMs">>} options
+	 * @returns {Promise<FetchResponse?>} The response, or `null` if all attempts failed.
+	 */
+	async #fetchWithRetries(url, headers, { timeoutMs, retries, retryDelayMs }) {
+		logger.info(`Fetching ${url}`);
+		const response = await fetchWithRetries(url, { headers }, {
+			description: `fetch ${url}`,
+			timeoutMs,
+			retries,
+			retryDelayMs,
+			onAttempt: (response, startTime) => {
+				const success = response && (response.ok || response.status == 304);
+				this.#recordFetch(url, success ? "success" : "failure", startTime);
+			},
+		});
+		if (!response) return null;
+		if (!response.ok && response.status != 304) {
+			await response.body?.cancel();
+			logger.warning(`Failed to fetch ${url}, the server responded with status ${response.status}`);
+			return null;
+		}
+		const content = response.status == 304 ? "" : await response.text();
+		logger.info(`Fetched ${url} with status ${response.status}`);
+		return {
+			status: response.status,
+			headers: Object.fromEntries(response.headers),
+			content,
+		};
+	}
+
+	/**
+	 * @param {string} url
+	 * @param {"success" | "failure"} result
+	 * @param {number} startTime The result of `performance.now()` before the request was made.
+	 */
+	#recordFetch(url, result, startTime) {
+		if (!this.#metrics) return;
+		this.#metrics.incrementCounter("adstxt_source_fetches_total", { source: url, result });
+		const durationSeconds = (performance.now() - startTime) / 1000;
+		this.#metrics.observeHistogram("adstxt_source_fetch_duration_seconds", { source: url }, durationSeconds);
+	}
+
+	/**
+	 * @param {string} url
+	 * @param {string} cacheDirectory
+	 */
+	async #getCacheFilePath(url, cacheDirectory) {
+		const hash = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(url));
+		const hex = Array.from(new Uint8Array(hash), (byte) => byte.toString(16).padStart(2, "0")).join("");
+		return path.join(cacheDirectory, `${hex}.json`);
+	}
+
+	/**
+	 * @param {string} url
+	 * @param {string} cacheDirectory
+	 * @returns {Promise<CachedAdsTxt | undefined>}
+	 */
+	async #loadFromDisk(url, cacheDirectory) {
+		const filePath = await this.#getCacheFilePath(url, cacheDirectory);
+		try {
+			const data = JSON.parse(await Deno.readTextFile(filePath));
+			if (data.url != url || typeof data.content != "string" || typeof data.fetchTime != "number") {
+				throw new Error("The file does not contain a valid cache entry.");
+			}
+			return {
+				content: data.content,
+				fetchTime: data.fetchTime,
+				status: data.status,
+				headers: data.headers,
+			};
+		} catch (e) {
+			if (e instanceof Deno.errors.NotFound) return undefined;
+			logger.warning(`Failed to load cached content for ${url} from ${filePath}: ${e}`);
+			return undefined;
+		}
+	}
+
+	/**
+	 * @param {string} url
+	 * @param {string} cacheDirectory
+	 * @param {CachedAdsTxt} cached
+	 */
+	async #saveToDisk(url, cacheDirectory, cached) {
+		const filePath = await this.#getCacheFilePath(url, cacheDirectory);
+		try {
+			await Deno.mkdir(cacheDirectory, { recursive: true });
+			await Deno.writeTextFile(filePath, JSON.stringify({ url, ...cached }));
+		} catch (e) {
+			// Failing to persist the cache shouldn't prevent the ads.txt from being updated.
+			logger.warning(`Failed to save cached content for ${url} to ${filePath}: ${e}`);
+		}
+	}
 }
@@ -0,0 +1,167 @@
+import * as path from "$std/path/mod.ts";
+
+/**
+ * - `fresh` the source was fetched or read successfully.
+ * - `cached` the source failed, but cached content was included instead.
+ * - `failed` the source failed and was not included.
+ * - `rejected` the source contains invalid lines and was not included because of the `invalid_lines` policy.
+ * @typedef {"fresh" | "cached" | "failed" | "rejected"} SourceStatus
+ */
+
+/**
+ * @typedef SourceMetadata
+ * @property {string} name The url, file path or config location of the source.
+ * @property {SourceStatus} status
+ */
+
+/**
+ * @typedef AdsTxtVersion
+ * @property {string} version An id based on the time at which the version was generated.
+ * @property {string} destination
+ * @property {number} time
+ * @property {SourceMetadata[]} sources
+ * @property {string} content The generated content, without the comment that contains the date.
+ */
+
+/**
+ * Keeps previously generated versions of an ads.txt, so that they can be inspected and restored.
+ * A restored version is pinned, which means the destination keeps using it until it is released.
+ */
+export class AdsTxtHistory {
+	#absoluteDestinationPath;
+	#directory;
+	#maxVersions;
+
+	/**
+	 * @param {string} historyDirectory The directory that contains the history of all destinations.
+	 * @param {string} absoluteDestinationPath
+	 * @param {number} maxVersions How many versions are kept, older versions are removed.
+	 */
+	constructor(historyDirectory, absoluteDestinationPath, maxVersions) {
+		this.#absoluteDestinationPath = absoluteDestinationPath;
+		// Every destination gets its own directory, named after the path of the destination.
+		// The path is encoded rather than flattened, so that different destinations never share a directory.
+		const directoryName = encodeURIComponent(absoluteDestinationPath.replace(/^[/\\]+/, ""));
+		this.#directory = path.join(historyDirectory, directoryName);
+		this.#maxVersions = maxVersions;
+	}
+
+	get pinnedFilePath() {
+		return path.join(this.#directory, "pinned.json");
+	}
+
+	/**
+	 * Stores a new version and removes versions that exceed the maximum amount.
+	 * @param {string} content
+	 * @param {SourceMetadata[]} sources
+	 */
+	async save(content, sources) {
+		const time = Date.now();
+		const version = new Date(time).toISOString().replace(/[:.]/g, "-");
+		/** @type {AdsTxtVersion} */
+		const entry = {
+			version,
+			destination: this.#absoluteDestinationPath,
+			time,
+			sources,
+			content,
+		};
+		await Deno.mkdir(this.#directory, { recursive: true });
+		await Deno.writeTextFile(this.#getVersionPath(version), JSON.stringify(entry, null, "\t"));
+
+		const versions = await this.#listVersionIds();
+		for (const oldVersion of versions.slice(0, Math.max(0, versions.length - this.#maxVersions))) {
+			await Deno.remove(this.#getVersionPath(oldVersion));
+		}
+		return entry;
+	}
+
+	/**
+	 * Lists all stored versions, oldest first.
+	 * @returns {Promise<AdsTxtVersion[]>}
+	 */
+	async list() {
+		/** @type {AdsTxtVersion[]} */
+		const versions = [];
+		for (const version of await this.#listVersionIds()) {
+			const entry = await this.get(version);
+			if (entry) versions.push(entry);
+		}
+		return versions;
+	}
+
+	/**
+	 * @param {string} version
+	 * @returns {Promise<AdsTxtVersion?>}
+	 */
+	async get(version) {
+		try {
+			return JSON.parse(await Deno.readTextFile(this.#getVersionPath(version)));
+		} catch (e) {
+			if (e instanceof Deno.errors.NotFound) return null;
+			throw e;
+		}
+	}
+
+	/**
+	 * Returns the version that the destination is currently pinned to, if any.
+	 * @returns {Promise<AdsTxtVersion?>}
+	 */
+	async getPinned() {
+		let version;
+		try {
+			version = JSON.parse(await Deno.readTextFile(this.pinnedFilePath)).version;
+		} catch (e) {
+			if (e instanceof Deno.errors.NotFound) return null;
+			throw e;
+		}
+		const entry = await this.get(version);
+		if (!entry) {
+			throw new Error(`The pinned version ${version} of ${this.#absoluteDestinationPath} no longer exists.`);
+		}
+		return entry;
+	}
+
+	/**
+	 * @param {string} version
+	 */
+	async pin(version) {
+		await Deno.writeTextFile(this.pinnedFilePath, JSON.stringify({ version }));
+	}
+
+	/**
+	 * @returns {Promise<boolean>} `false` when no version was pinned.
+	 */
+	async release() {
+		try {
+			await Deno.remove(this.pinnedFilePath);
+			return true;
+		} catch (e) {
+			if (e instanceof Deno.errors.NotFound) return false;
+			throw e;
+		}
+	}
+
+	/**
+	 * @param {string} version
+	 */
+	#getVersionPath(version) {
+		return path.join(this.#directory, `${version}.json`);
+	}
+
+	async #listVersionIds() {
+		/** @type {string[]} */
+		const versions = [];
+		try {
+			for await (const entry of Deno.readDir(this.#directory)) {
+				if (entry.isFile && entry.name.endsWith(".json") && entry.name != "pinned.json") {
+					versions.push(entry.name.slice(0, -".json".length));
+				}
+			}
+		} catch (e) {
+			if (e instanceof Deno.errors.NotFound) return versions;
+			throw e;
+		}
+		return versions.sort();
+	}
+}
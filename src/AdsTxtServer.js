@@ -0,0 +1,133 @@
+import { HttpServer } from "./HttpServer.js";
+
+/**
+ * @typedef ServedAdsTxt
+ * @property {string} content
+ * @property {string} etag
+ */
+
+/**
+ * Returns the updaters that are currently running.
+ * This is called for every request so that configuration changes are picked up.
+ * @typedef {() => Iterable<import("./AdsTxtUpdater.js").AdsTxtUpdater>} GetUpdaters
+ */
+
+export const DEFAULT_PORT = 8080;
+
+const CACHE_CONTROL = "public, max-age=3600";
+
+/**
+ * Serves generated ads.txt files over HTTP, so that they don't have to be written to disk
+ * in order to be served by a web server. Files are looked up using the `Host` header of the request
+ * and the `hosts` that are configured for each destination.
+ */
+export class AdsTxtServer {
+	#getUpdaters;
+	#metricsServer;
+	#httpServer;
+
+	/**
+	 * @param {GetUpdaters} getUpdaters
+	 * @param {object} [options]
+	 * @param {import("./MetricsServer.js").MetricsServer?} [options.metricsServer] When set, metrics and the health
+	 * check are served by this server as well, so that they don't need a listener of their own.
+	 */
+	constructor(getUpdaters, { metricsServer = null } = {}) {
+		this.#getUpdaters = getUpdaters;
+		this.#metricsServer = metricsServer;
+		this.#httpServer = new HttpServer((request) => this.handleRequest(request), {
+			name: "ads.txt files",
+			defaultPort: DEFAULT_PORT,
+		});
+	}
+
+	/**
+	 * Starts listening for requests, the port defaults to 8080.
+	 * @param {import("./HttpServer.js").HttpServerOptions} [options]
+	 */
+	listen(options) {
+		this.#httpServer.listen(options);
+	}
+
+	async close() {
+		await this.#httpServer.close();
+	}
+
+	/**
+	 * @param {Request} request
+	 * @returns {Response}
+	 */
+	handleRequest(request) {
+		if (this.#metricsServer && this.#metricsServer.handlesPath(new URL(request.url).pathname)) {
+			return this.#metricsServer.handleRequest(request);
+		}
+		if (request.method != "GET" && request.method != "HEAD") {
+			return new Response("Method Not Allowed", {
+				status: 405,
+				headers: { Allow: "GET, HEAD" },
+			});
+		}
+
+		const url = new URL(request.url);
+		const host = getHostname(request.headers.get("Host") || url.host);
+		const updater = this.#findUpdater(host, url.pathname);
+		if (!updater) {
+			return new Response("Not Found", { status: 404 });
+		}
+		const served = updater.servedContent;
+		if (!served) {
+			return new Response("Service Unavailable", {
+				status: 503,
+				headers: { "Retry-After": "60" },
+			});
+		}
+
+		const headers = {
+			"Content-Type": "text/plain; charset=utf-8",
+			ETag: served.etag,
+			"Cache-Control": CACHE_CONTROL,
+		};
+		if (matchesEtag(request.headers.get("If-None-Match"), served.etag)) {
+			return new Response(null, { status: 304, headers });
+		}
+		return new Response(request.method == "HEAD" ? null : served.content, { headers });
+	}
+
+	/**
+	 * @param {string} host
+	 * @param {string} pathname
+	 */
+	#findUpdater(host, pathname) {
+		for (const updater of this.#getUpdaters()) {
+			if (updater.servedPath != pathname) continue;
+			if (updater.hosts.some((configuredHost) => configuredHost.toLowerCase() == host)) {
+				return updater;
+			}
+		}
+		return null;
+	}
+}
+
+/**
+ * Removes the port from a `Host` header.
+ * @param {string} host
+ */
+function getHostname(host) {
+	try {
+		return new URL(`http://${host}`).hostname;
+	} catch {
+		return host.toLowerCase();
+	}
+}
+
+/**
+ * @param {string?} ifNoneMatch
+ * @param {string} etag
+ */
+function matchesEtag(ifNoneMatch, etag) {
+	if (!ifNoneMatch) return false;
+	return ifNoneMatch.split(",").some((value) => {
+		const trimmed = value.trim();
+		return trimmed == "*" || trimmed.replace(/^W\//, "") == etag;
+	});
+}
@@ -2,17 +2,68 @@ import * as path from "$std/path/mod.ts";
 import * as fs from "$std/fs/mod.ts";
 import { SingleInstancePromise } from "./SingleInstancePromise.js";
 import { logger } from "./logger.js";
+import { parseDuration } from "./parseDuration.js";
 import { transformAdsTxt } from "./transformAdsTxt.js";
+import { createComment, createEmptyLine, parseAdsTxt, serializeAdsTxt } from "./parseAdsTxt.js";
+import { commentOutInvalidRecord, validateAdsTxt, validateAdsTxtRecord } from "./validateAdsTxt.js";
+import { dedupeAdsTxtSources, formatAdsTxtConflict, resolveAdsTxtConflicts } from "./mergeAdsTxt.js";
+import { groupAdsTxtRecordsByRelationship, sortAdsTxtRecords } from "./sortAdsTxt.js";
+import {
+	countAdsTxtSourceDiffs,
+	diffAdsTxt,
+	diffAdsTxtBySource,
+	formatAdsTxtSourceDiffs,
+	summarizeAdsTxtSourceDiffs,
+} from "./diffAdsTxt.js";
+import { getPendingAdsTxtPath, removePendingAdsTxt } from "./pendingAdsTxt.js";
+import { getDestinationWriteOptions, writeTextFileAtomic } from "./writeFileAtomic.js";
+import { AdsTxtHistory } from "./AdsTxtHistory.js";
+import { sendWebhooks } from "./webhooks.js";
 
-let ensureFile = fs.ensureFile;
-export function mockEnsureFile() {
-	ensureFile = async () => {};
+let ensureDir = fs.ensureDir;
+export function mockEnsureDir() {
+	ensureDir = async () => {};
 }
 
 /**
+ * Every source has exactly one of `source`, `file` or `records`.
  * @typedef AdsTxtSourceConfig
- * @property {string} source
+ * @property {string} [source] The url to fetch the ads.txt from.
+ * @property {string} [file] Path to a local ads.txt file, relative to the config file.
+ * The file is watched and the destination is updated when it changes.
+ * @property {string[]} [records] Lines that are listed directly in the config file.
  * @property {import("./transformAdsTxt.js").TransformAdsTxtOptions} [transform]
+ * @property {InvalidLinesPolicy} [invalid_lines] What to do with lines that don't follow the ads.txt spec.
+ * Invalid lines are always logged, but are included as is when this is not set.
+ * @property {string} [cache_duration] Overrides the `cache_duration` of the destination for this source.
+ * @property {string} [max_stale] Overrides the `max_stale` of the destination for this source.
+ * @property {string} [fetch_timeout] Overrides the `fetch_timeout` of the destination for this source.
+ * @property {number} [retries] Overrides the `retries` of the destination for this source.
+ * @property {string} [retry_delay] Overrides the `retry_delay` of the destination for this source.
+ * @property {boolean} [required] Makes the health check fail when the source exceeds its maximum staleness.
+ */
+
+/**
+ * - `drop` removes invalid lines from the source.
+ * - `comment` comments out invalid lines and adds the reason why they are invalid.
+ * - `reject` excludes the entire source when it contains at least one invalid line.
+ * @typedef {"drop" | "comment" | "reject"} InvalidLinesPolicy
+ */
+
+/**
+ * @typedef ShrinkProtectionConfig
+ * @property {number} [max_removed_percentage] The percentage of records that may be removed in a single update.
+ * @property {number} [max_removed_records] The amount of records that may be removed in a single update.
+ * @property {boolean} [require_confirmation] When true, a new version that removes too many records is saved to the
+ * `pending_directory`, so that it can be accepted using the `confirm` command.
+ * @property {string} [pending_directory] Directory where versions that are waiting for a confirmation are stored,
+ * relative to the config file. Defaults to the directory of the config file.
+ */
+
+/**
+ * @typedef HistoryConfig
+ * @property {string} directory Directory where previous versions are stored, relative to the config file.
+ * @property {number} [versions] How many versions are kept per destination, defaults to 10.
  */
 
 /**
@@ -20,6 +71,55 @@ export function mockEnsureFile() {
  * @property {string} [updateInterval]
  * @property {string} destination
  * @property {(AdsTxtSourceConfig | string)[]} sources
+ * @property {boolean | import("./mergeAdsTxt.js").DedupeOptions} [dedupe] Removes duplicate records across all sources.
+ * @property {string} [cache_directory] Directory where fetched content is stored, so that it survives restarts.
+ * Relative paths are resolved relative to the config file.
+ * @property {string} [cache_duration] Duration for which fetched content is reused without making a new request,
+ * such as `12h`. Defaults to one hour.
+ * @property {string} [max_stale] When a source fails, cached content that is older than this duration is no longer included.
+ * By default cached content is included regardless of its age.
+ * @property {string} [fetch_timeout] Duration after which requests are aborted, such as `30s`. Defaults to 30 seconds.
+ * @property {number} [retries] How many times failed requests are retried before falling back to the cache.
+ * @property {string} [retry_delay] Delay before the first retry, such as `5s`. Every next retry waits twice as long.
+ * @property {import("./mergeAdsTxt.js").ConflictResolution} [conflicts] Decides which declarations are kept
+ * when the same account is declared with a different relationship or certification authority ID.
+ * @property {import("./transformAdsTxt.js").TransformAdsTxtOptions} [transform] Transforms the records of all sources
+ * after they have been combined.
+ * @property {string} [file_mode] The permissions of the generated file, such as `644`.
+ * @property {string | number} [file_owner] The name or id of the user that should own the generated file.
+ * @property {string | number} [file_group] The name or id of the group that should own the generated file.
+ * @property {boolean | ShrinkProtectionConfig} [shrink_protection] Prevents the destination from being overwritten
+ * when a new version removes a lot of records at once, such as when a source suddenly returns an empty file.
+ * @property {HistoryConfig} [history] Keeps previously generated versions, so that they can be restored.
+ * @property {string} [changelog] File to which the changed records are appended on every update.
+ * Relative paths are resolved relative to the config file.
+ * @property {string[]} [hosts] Hostnames for which the destination is served when running in `serve` mode.
+ * @property {boolean} [write] Set to false to only serve the destination, without writing it to disk.
+ * Only has an effect when `hosts` is set.
+ * @property {import("./webhooks.js").WebhookConfig[]} [webhooks] Urls that are notified when the destination is
+ * updated or when something goes wrong.
+ * @property {import("./sortAdsTxt.js").SortMode} [sort] Sorts the generated records, so that the output doesn't change
+ * when a source changes the order of its records. By default records are included in the order of the sources.
+ * @property {Object<string, string | string[]>} [variables] Variables such as `OWNERDOMAIN` and `CONTACT` that are
+ * written once at the top of the generated file. Variables with the same key are removed from all sources.
+ */
+
+/**
+ * - `success` the ads.txt was written or was already up to date, and all sources were included.
+ * - `stale` one or more sources failed, but their cached content was included.
+ * - `failed` one or more sources are not included, the new version was kept back by the shrink protection,
+ * or the ads.txt couldn't be updated at all.
+ * @typedef {"success" | "stale" | "failed"} UpdateResult
+ */
+
+/**
+ * @typedef SourceState
+ * @property {string} name
+ * @property {boolean} required
+ * @property {number} maxStaleMs The maximum staleness of the source, `Infinity` when it is not configured.
+ * @property {import("./AdsTxtHistory.js").SourceStatus?} status The status after the most recent update,
+ * `null` when the source hasn't been loaded yet.
+ * @property {number?} lastSuccessTime Time at which the source was last loaded without falling back to the cache.
  */
 
 /**
@@ -28,41 +128,105 @@ export function mockEnsureFile() {
  * And it watches the destination for changes and overwrites it when another application modifies it.
  */
 export class AdsTxtUpdater {
+	#absoluteConfigPath;
 	#absoluteDestinationPath;
+	/** @type {string | undefined} */
+	#absoluteCacheDirectory;
 	#config;
 	#adsTxtCache;
+	/** @type {AdsTxtHistory?} */
+	#history = null;
+	/** @type {string?} */
+	#absoluteChangelogPath = null;
+	/** @type {Set<Promise<void>>} */
+	#pendingWebhooks = new Set();
+	/** Aborts the retries of pending webhooks once the updater is destructed. */
+	#webhooksAbortController = new AbortController();
+	/**
+	 * The content that is served by the built-in HTTP server.
+	 * @type {import("./AdsTxtServer.js").ServedAdsTxt?}
+	 */
+	#servedContent = null;
 	/** @type {Set<Deno.FsWatcher>} */
 	#watchers = new Set();
+	/**
+	 * The files and directories that are being watched, events for any other path are ignored.
+	 * @type {Set<string>}
+	 */
+	#watchedPaths = new Set();
 	#updateAdsTxtInstance;
 	#updateIntervalId = 0;
 	#destructed = false;
 	#lastWatchEventTime = -1;
+	#lastWatchEventPath = "";
+	/** Whether the next update is caused by a change to one of the watched files. */
+	#watchEventPending = false;
+	#metrics;
+	#once;
+	/** @type {UpdateResult?} */
+	#lastUpdateResult = null;
+	/** @type {Map<string, SourceState>} */
+	#sourceStates = new Map();
 
 	/**
 	 * @param {string} absoluteConfigPath
 	 * @param {AdsTxtConfig} config
 	 * @param {import("./AdsTxtCache.js").AdsTxtCache} adsTxtCache
+	 * @param {object} options
+	 * @param {import("./Metrics.js").Metrics?} [options.metrics]
+	 * @param {boolean} [options.once] Only updates the ads.txt once, without watching for changes or updating
+	 * it periodically. Errors are logged rather than thrown, so that they can be reported using
+	 * {@linkcode lastUpdateResult}.
 	 */
-	constructor(absoluteConfigPath, config, adsTxtCache) {
+	constructor(absoluteConfigPath, config, adsTxtCache, {
+		metrics = null,
+		once = false,
+	} = {}) {
 		const absoluteDestinationPath = path.resolve(
 			path.dirname(absoluteConfigPath),
 			config.destination,
 		);
 
+		this.#absoluteConfigPath = absoluteConfigPath;
 		this.#absoluteDestinationPath = absoluteDestinationPath;
+		if (config.cache_directory) {
+			this.#absoluteCacheDirectory = path.resolve(path.dirname(absoluteConfigPath), config.cache_directory);
+		}
 		this.#config = config;
 		this.#adsTxtCache = adsTxtCache;
+		this.#metrics = metrics;
+		this.#once = once;
+		for (const [index, sourceConfig] of this.#getSourceConfigs().entries()) {
+			const name = this.#getSourceName(sourceConfig, index);
+			const maxStale = sourceConfig.max_stale ?? config.max_stale;
+			this.#sourceStates.set(name, {
+				name,
+				required: sourceConfig.required ?? false,
+				maxStaleMs: maxStale ? parseDuration(maxStale) ?? Infinity : Infinity,
+				status: null,
+				lastSuccessTime: null,
+			});
+		}
+		if (config.history) {
+			const historyDirectory = path.resolve(path.dirname(absoluteConfigPath), config.history.directory);
+			this.#history = new AdsTxtHistory(historyDirectory, absoluteDestinationPath, config.history.versions ?? 10);
+		}
+		if (config.changelog) {
+			this.#absoluteChangelogPath = path.resolve(path.dirname(absoluteConfigPath), config.changelog);
+		}
 
-		this.#updateAdsTxtInstance = new SingleInstancePromise(async () => {
+		const updateAdsTxt = async () => {
 			if (this.#destructed) return;
 			if (!this.#absoluteDestinationPath) {
 				throw new Error("Assertion failed, no absoluteDestinationPath has been set");
 			}
+			const triggeredByWatcher = this.#watchEventPending;
+			this.#watchEventPending = false;
 			if (this.#lastWatchEventTime >= 0) {
 				// When a folder is being deleted recursively, we don't want to get in the way and immediately
 				// Create the ads.txt again. So we'll wait a few seconds, hopefully that handles most cases.
 				logger.info(
-					`The ads.txt at "${this.#absoluteDestinationPath}" has changed, waiting for disk operations to finish.`,
+					`The file at "${this.#lastWatchEventPath}" has changed, waiting for disk operations to finish.`,
 				);
 				const COOLDOWN_MS = 1000;
 				while (true) {
@@ -74,17 +238,23 @@ export class AdsTxtUpdater {
 					}
 				}
 			}
-			logger.info(`Fetching required content for ${this.#absoluteDestinationPath}`);
-			const desiredContent = await this.#getAdsTxtsContent();
-			let currentContent = null;
-			try {
-				currentContent = await Deno.readTextFile(this.#absoluteDestinationPath);
-			} catch (e) {
-				if (!(e instanceof Deno.errors.NotFound)) {
-					throw e;
-				}
+			/** @type {string} */
+			let desiredContent;
+			/** @type {import("./AdsTxtHistory.js").SourceMetadata[]} */
+			let sources = [];
+			/** @type {Set<string>} */
+			let changedSources = new Set();
+			const pinned = await this.#getPinnedVersion();
+			if (pinned) {
+				logger.info(`${this.#absoluteDestinationPath} is pinned to version ${pinned.version}`);
+				desiredContent = pinned.content;
+			} else {
+				logger.info(`Fetching required content for ${this.#absoluteDestinationPath}`);
+				({ content: desiredContent, sources } = await this.#getAdsTxtsContent());
+				changedSources = this.#updateSourceStates(sources);
 			}
-
+			let currentContent = await this.#readCurrentContent();
+			const currentFileContent = currentContent;
 			// Remove the first two lines, which includes the date. Otherwise the file will keep updating forever.
 			if (currentContent) {
 				const lines = currentContent.split("\n");
@@ -92,41 +262,137 @@ export class AdsTxtUpdater {
 				currentContent = lines.join("\n");
 			}
 
+			const failedSources = sources.filter((source) => source.status == "failed" || source.status == "rejected");
+			const allSourcesFailed = sources.length > 0 && failedSources.length == sources.length;
+			// When all sources fail, the previous content keeps being served rather than a file that only lists errors.
+			const keepServedContent = allSourcesFailed && Boolean(this.#servedContent || currentFileContent);
+
+			/** @type {import("./diffAdsTxt.js").AdsTxtSourceDiff[]} */
+			let diffs = [];
+			let newFileContent = currentFileContent;
+			let keptBackByShrinkProtection = false;
+			let writeFailed = false;
 			if (currentContent != desiredContent) {
-				await ensureFile(this.#absoluteDestinationPath);
+				diffs = diffAdsTxtBySource(parseAdsTxt(currentContent || ""), parseAdsTxt(desiredContent));
 				const contentWithDate = `# This file was generated on ${new Date().toUTCString()}\n\n${desiredContent}`;
-				await Deno.writeTextFile(this.#absoluteDestinationPath, contentWithDate);
-				logger.info(`Updated ${this.#absoluteDestinationPath}`);
-				this.#reloadWatchers();
+				if (
+					!pinned && currentContent &&
+					!(await this.#checkShrinkProtection(currentContent, desiredContent, contentWithDate))
+				) {
+					keptBackByShrinkProtection = true;
+					this.#sendWebhooks("shrink_protection_triggered", sources, diffs);
+				} else {
+					newFileContent = contentWithDate;
+					// The new content is served before it is written, so that it is served even when writing fails.
+					if (this.#config.hosts && !keepServedContent) await this.#setServedContent(contentWithDate);
+					if (this.#writesToDisk) {
+						try {
+							await ensureDir(path.dirname(this.#absoluteDestinationPath));
+							await writeTextFileAtomic(
+								this.#absoluteDestinationPath,
+								contentWithDate,
+								await getDestinationWriteOptions(this.#config, this.#absoluteDestinationPath),
+							);
+						} catch (e) {
+							if (!this.#config.hosts) throw e;
+							writeFailed = true;
+							logger.error(
+								`Failed to write ${this.#absoluteDestinationPath}, it is only being served: ${e}`,
+							);
+						}
+						if (!writeFailed) {
+							const labels = { destination: this.#absoluteDestinationPath };
+							this.#metrics?.incrementCounter("adstxt_destination_writes_total", labels);
+							if (triggeredByWatcher) {
+								this.#metrics?.incrementCounter("adstxt_destination_watcher_rewrites_total", labels);
+							}
+						}
+					}
+					await this.#logChanges(diffs);
+					if (this.#history && !pinned) {
+						try {
+							const { version } = await this.#history.save(desiredContent, sources);
+							logger.info(`Saved version ${version} of ${this.#absoluteDestinationPath}`);
+						} catch (e) {
+							logger.warning(`Failed to save the history of ${this.#absoluteDestinationPath}: ${e}`);
+						}
+					}
+					this.#reloadWatchers();
+					this.#sendWebhooks("destination_updated", sources, diffs);
+				}
 			} else {
 				logger.info(`No changes are needed for ${this.#absoluteDestinationPath}`);
 			}
-		});
-		this.#updateAdsTxtInstance.run();
-		this.#reloadWatchers();
+			if (!keptBackByShrinkProtection) await this.#removePendingAdsTxt();
 
-		let interval = 24 * 60 * 60 * 1000;
-		const intervalStr = config.updateInterval || "24h";
-		const match = intervalStr.match(/(?<amount>\d+)(?<unit>[smhd])/);
-		if (match && match.groups) {
-			let amount = parseInt(match.groups.amount, 10);
-			if (match.groups.unit == "s") {
-				amount *= 1000;
-			} else if (match.groups.unit == "m") {
-				amount *= 60 * 1000;
-			} else if (match.groups.unit == "h") {
-				amount *= 60 * 60 * 1000;
-			} else if (match.groups.unit == "d") {
-				amount *= 24 * 60 * 60 * 1000;
+			if (this.#metrics && newFileContent != null) {
+				const recordCount = parseAdsTxt(newFileContent).filter((record) => record.type == "data").length;
+				this.#metrics.setGauge(
+					"adstxt_destination_records",
+					{ destination: this.#absoluteDestinationPath },
+					recordCount,
+				);
 			}
-			if (isFinite(amount)) {
-				interval = amount;
+
+			if (this.#config.hosts) {
+				if (keepServedContent) {
+					logger.warning(
+						`All sources of ${this.#absoluteDestinationPath} failed, the previous content will be served.`,
+					);
+					if (!this.#servedContent && currentFileContent) await this.#setServedContent(currentFileContent);
+				} else if (newFileContent != null) {
+					await this.#setServedContent(newFileContent);
+				}
 			}
-		}
+			// Sources are only reported when their status changes, so that a source that keeps failing
+			// doesn't trigger a webhook on every update.
+			const newlyFailedSources = failedSources.filter((source) => changedSources.has(source.name));
+			if (newlyFailedSources.length > 0) this.#sendWebhooks("source_failed", newlyFailedSources, diffs);
+			const staleSources = sources.filter((source) => source.status == "cached");
+			const newlyStaleSources = staleSources.filter((source) => changedSources.has(source.name));
+			if (newlyStaleSources.length > 0) this.#sendWebhooks("source_stale", newlyStaleSources, diffs);
+
+			if (failedSources.length > 0 || keptBackByShrinkProtection || writeFailed) {
+				this.#lastUpdateResult = "failed";
+			} else if (staleSources.length > 0) {
+				this.#lastUpdateResult = "stale";
+			} else {
+				this.#lastUpdateResult = "success";
+			}
+		};
+		this.#updateAdsTxtInstance = new SingleInstancePromise(async () => {
+			try {
+				await updateAdsTxt();
+			} catch (e) {
+				this.#lastUpdateResult = "failed";
+				if (!once) throw e;
+				logger.error(`Failed to update ${this.#absoluteDestinationPath}: ${e}`);
+			}
+		});
+		this.#updateAdsTxtInstance.run();
+		if (once) return;
+		this.#reloadWatchers();
 
 		this.#updateIntervalId = setInterval(() => {
 			this.#updateAdsTxtInstance.run();
-		}, interval);
+		}, this.#getUpdateIntervalMs());
+	}
+
+	/**
+	 * Returns how often the destination is updated. Sources with a `cache_duration` that is shorter than the
+	 * `updateInterval` would otherwise be fetched less often than configured, so the shortest one is used instead.
+	 * Sources with a longer cache duration are served from the cache during updates in between.
+	 */
+	#getUpdateIntervalMs() {
+		let interval = parseDuration(this.#config.updateInterval || "24h") ?? 24 * 60 * 60 * 1000;
+		for (const sourceConfig of this.#getSourceConfigs()) {
+			if (!sourceConfig.source) continue;
+			const cacheDurationMs = this.#getCacheDurationMs(sourceConfig);
+			if (cacheDurationMs != undefined) interval = Math.min(interval, cacheDurationMs);
+		}
+		// A cache duration of zero would otherwise cause the destination to be updated continuously.
+		const MIN_INTERVAL_MS = 1000;
+		return Math.max(interval, MIN_INTERVAL_MS);
 	}
 
 	async destructor() {
@@ -135,6 +401,8 @@ export class AdsTxtUpdater {
 		}
 		this.#destructed = true;
 
+		// Webhooks that are still being retried could otherwise keep the destructor waiting for a long time.
+		this.#webhooksAbortController.abort();
 		await this.waitForPromises();
 
 		this.#closeWatchers();
@@ -144,8 +412,138 @@ export class AdsTxtUpdater {
 	/**
 	 * Mostly meant for tests, allows you to wait for all pending promises that are related to this updater to be resolved.
 	 */
-	waitForPromises() {
-		return this.#updateAdsTxtInstance.waitForFinishIfRunning();
+	async waitForPromises() {
+		await this.#updateAdsTxtInstance.waitForFinishIfRunning();
+		await Promise.all(this.#pendingWebhooks);
+	}
+
+	/**
+	 * The result of the most recent update, or `null` when the ads.txt hasn't been updated yet.
+	 */
+	get lastUpdateResult() {
+		return this.#lastUpdateResult;
+	}
+
+	get absoluteDestinationPath() {
+		return this.#absoluteDestinationPath;
+	}
+
+	/**
+	 * The state of every source after the most recent update, used for metrics and health checks.
+	 * @returns {SourceState[]}
+	 */
+	get sourceStates() {
+		return Array.from(this.#sourceStates.values(), (state) => ({ ...state }));
+	}
+
+	/**
+	 * @param {import("./AdsTxtHistory.js").SourceMetadata[]} sources
+	 * @returns {Set<string>} The names of the sources of which the status has changed since the previous update.
+	 */
+	#updateSourceStates(sources) {
+		const now = Date.now();
+		/** @type {Set<string>} */
+		const changed = new Set();
+		for (const source of sources) {
+			const state = this.#sourceStates.get(source.name);
+			if (!state) continue;
+			if (state.status != source.status) changed.add(source.name);
+			state.status = source.status;
+			if (source.status == "fresh") state.lastSuccessTime = now;
+		}
+		return changed;
+	}
+
+	/**
+	 * The hostnames for which the built-in HTTP server serves this destination.
+	 */
+	get hosts() {
+		return this.#config.hosts || [];
+	}
+
+	/**
+	 * The path at which the built-in HTTP server serves this destination.
+	 * Destinations named app-ads.txt are served at `/app-ads.txt`, all other destinations at `/ads.txt`.
+	 */
+	get servedPath() {
+		return path.basename(this.#absoluteDestinationPath) == "app-ads.txt" ? "/app-ads.txt" : "/ads.txt";
+	}
+
+	/**
+	 * The most recent content that was successfully generated, or `null` when no content has been generated yet.
+	 */
+	get servedContent() {
+		return this.#servedContent;
+	}
+
+	/**
+	 * Whether the generated content is written to the destination, this can only be disabled when it is being served.
+	 */
+	get #writesToDisk() {
+		return !this.#config.hosts || this.#config.write != false;
+	}
+
+	/**
+	 * Returns the current content of the destination, including the comment with the date.
+	 * When the destination isn't written to disk, the content that is being served is used instead.
+	 */
+	async #readCurrentContent() {
+		if (!this.#writesToDisk) return this.#servedContent?.content ?? null;
+		try {
+			return await Deno.readTextFile(this.#absoluteDestinationPath);
+		} catch (e) {
+			if (e instanceof Deno.errors.NotFound) return null;
+			if (!this.#config.hosts) throw e;
+			logger.error(`Failed to read ${this.#absoluteDestinationPath}: ${e}`);
+			return this.#servedContent?.content ?? null;
+		}
+	}
+
+	/**
+	 * @param {string} content
+	 */
+	async #setServedContent(content) {
+		if (this.#servedContent?.content == content) return;
+		const hash = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(content));
+		const hex = Array.from(new Uint8Array(hash), (byte) => byte.toString(16).padStart(2, "0")).join("");
+		this.#servedContent = {
+			content,
+			etag: `"${hex.slice(0, 32)}"`,
+		};
+	}
+
+	/**
+	 * Notifies the webhooks of this destination that the configuration was changed, but could not be loaded.
+	 * @param {string} message
+	 */
+	notifyConfigReloadFailed(message) {
+		this.#sendWebhooks("config_reload_failed", [], [], message);
+	}
+
+	/**
+	 * Sends an event to the configured webhooks in the background.
+	 * @param {import("./webhooks.js").WebhookEvent} event
+	 * @param {import("./AdsTxtHistory.js").SourceMetadata[]} sources
+	 * @param {import("./diffAdsTxt.js").AdsTxtSourceDiff[]} diffs
+	 * @param {string} [message]
+	 */
+	#sendWebhooks(event, sources, diffs, message) {
+		if (!this.#config.webhooks || this.#config.webhooks.length == 0) return;
+		/** @type {import("./webhooks.js").WebhookPayload} */
+		const payload = {
+			event,
+			time: new Date().toISOString(),
+			destination: this.#absoluteDestinationPath,
+			sources,
+			diff: countAdsTxtSourceDiffs(diffs),
+		};
+		if (message != undefined) payload.message = message;
+		const promise = sendWebhooks(this.#config.webhooks, payload, {
+			signal: this.#webhooksAbortController.signal,
+		}).finally(() => {
+			this.#pendingWebhooks.delete(promise);
+		});
+		this.#pendingWebhooks.add(promise);
 	}
 
 	#closeWatchers() {
@@ -156,27 +554,40 @@ export class AdsTxtUpdater {
 	}
 
 	async #reloadWatchers() {
+		if (this.#once) return;
 		if (!this.#absoluteDestinationPath) {
 			throw new Error("Assertion failed, no absoluteDestinationPath has been set");
 		}
 		// There's an issue that causes events to not get reported when a lot of events happen at once:
 		// https://github.com/denoland/deno/issues/11373
 		// Which might be very common if the user is deleting and reuploading the entire site.
-		// So instead of watching the full directory, we only watch the destination file itself.
+		// So instead of watching the full directory, we only watch the destination file itself,
+		// as well as any local source files and the file that indicates a pinned version.
 		// We also watch all parent directories (non recursively), in case the file or one of its
-		// parents doesn't exist yet.
+		// parents doesn't exist yet. This is also what notices the pinned file being created or removed
+		// by the `history` command, since it usually doesn't exist when the watchers are created.
+
+		const filePaths = [];
+		if (this.#writesToDisk) filePaths.push(this.#absoluteDestinationPath);
+		if (this.#history) filePaths.push(this.#history.pinnedFilePath);
+		for (const sourceConfig of this.#getSourceConfigs()) {
+			if (sourceConfig.file) filePaths.push(this.#getAbsoluteSourceFilePath(sourceConfig.file));
+		}
 
 		/** @type {Set<string>} */
 		const paths = new Set();
-		let lastPath = this.#absoluteDestinationPath;
-		paths.add(lastPath);
-		while (true) {
-			lastPath = path.resolve(lastPath, "..");
-			if (paths.has(lastPath)) break;
+		for (const filePath of filePaths) {
+			let lastPath = filePath;
 			paths.add(lastPath);
+			while (true) {
+				lastPath = path.resolve(lastPath, "..");
+				if (paths.has(lastPath)) break;
+				paths.add(lastPath);
+			}
 		}
 
 		this.#closeWatchers();
+		this.#watchedPaths = paths;
 		for (const path of paths) {
 			this.#createWatcher(path);
 		}
@@ -207,96 +618,482 @@ export class AdsTxtUpdater {
 			// I'm not sure why, but for some reason the `paths` property is frequently a different
 			// path from the one we have set the watcher to, even though the watcher was created with `recursive`
 			// https://github.com/denoland/deno/issues/18348
-			// To work around this we check if the reported path is the same as the one we provided to the watcher.
-			if (!e.paths.includes(path)) continue;
+			// To work around this we only handle events for paths that we are interested in.
+			// Watchers of a directory report the path of the child that changed, so rather than comparing
+			// against the path of this watcher, we check against all watched paths.
+			const eventPath = e.paths.find((eventPath) => this.#watchedPaths.has(eventPath));
+			if (!eventPath) continue;
 
 			this.#lastWatchEventTime = performance.now();
+			this.#lastWatchEventPath = eventPath;
+			this.#watchEventPending = true;
 			this.#updateAdsTxtInstance.run();
 		}
 	}
 
+	/**
+	 * Returns the version that the destination is pinned to using the `history restore` command, if any.
+	 */
+	async #getPinnedVersion() {
+		if (!this.#history) return null;
+		try {
+			return await this.#history.getPinned();
+		} catch (e) {
+			logger.error(`Failed to load the pinned version of ${this.#absoluteDestinationPath}: ${e}`);
+			return null;
+		}
+	}
+
+	/**
+	 * Logs which records were added, removed or changed, and appends them to the changelog when one is configured.
+	 * @param {import("./diffAdsTxt.js").AdsTxtSourceDiff[]} diffs
+	 */
+	async #logChanges(diffs) {
+		const summary = summarizeAdsTxtSourceDiffs(diffs);
+		const lines = formatAdsTxtSourceDiffs(diffs);
+		logger.info([`Updated ${this.#absoluteDestinationPath}: ${summary}`, ...lines].join("\n"));
+
+		if (!this.#absoluteChangelogPath || diffs.length == 0) return;
+		const entry = [`${new Date().toUTCString()}: ${summary}`, ...lines, ""].join("\n");
+		try {
+			await ensureDir(path.dirname(this.#absoluteChangelogPath));
+			await Deno.writeTextFile(this.#absoluteChangelogPath, entry + "\n", { append: true });
+		} catch (e) {
+			logger.warning(`Failed to write the changelog at ${this.#absoluteChangelogPath}: ${e}`);
+		}
+	}
+
+	/**
+	 * Checks whether the new content removes more records than the shrink protection allows.
+	 * The existing file is kept for as long as this is the case.
+	 * @param {string} currentContent The content of the destination, without the date.
+	 * @param {string} desiredContent The newly generated content, without the date.
+	 * @param {string} contentWithDate
+	 * @returns {Promise<boolean>} Whether the new content may be written.
+	 */
+	async #checkShrinkProtection(currentContent, desiredContent, contentWithDate) {
+		if (!this.#config.shrink_protection) return true;
+		const options = this.#config.shrink_protection === true ? {} : this.#config.shrink_protection;
+		const maxRemovedRecords = options.max_removed_records ?? Infinity;
+		// When no limits have been configured, we allow at most half of the records to be removed.
+		const defaultPercentage = options.max_removed_records == undefined ? 50 : Infinity;
+		const maxRemovedPercentage = options.max_removed_percentage ?? defaultPercentage;
+
+		const { removed, oldCount } = diffAdsTxt(parseAdsTxt(currentContent), parseAdsTxt(desiredContent));
+		const removedPercentage = oldCount > 0 ? removed.length / oldCount * 100 : 0;
+		if (removed.length <= maxRemovedRecords && removedPercentage <= maxRemovedPercentage) {
+			return true;
+		}
+
+		const destination = this.#absoluteDestinationPath;
+		const removedStr = `${removed.length} of ${oldCount} records (${Math.round(removedPercentage)}%)`;
+		let message =
+			`SHRINK PROTECTION: The new version of ${destination} would remove ${removedStr}. The existing file has been kept.`;
+		if (options.require_confirmation) {
+			const pendingPath = getPendingAdsTxtPath(this.#absoluteConfigPath, this.#config);
+			try {
+				await ensureDir(path.dirname(pendingPath));
+				await writeTextFileAtomic(pendingPath, contentWithDate);
+				message +=
+					`\nThe new version has been saved to ${pendingPath}, run "adstxt_updater confirm ${this.#absoluteConfigPath} ${destination}" to accept it.`;
+			} catch (e) {
+				message += `\nFailed to save the new version to ${pendingPath}: ${e}`;
+			}
+		}
+		logger.error(message);
+		return false;
+	}
+
+	/**
+	 * Removes the version that was waiting for a confirmation, since it no longer reflects the sources.
+	 */
+	async #removePendingAdsTxt() {
+		const options = this.#config.shrink_protection;
+		if (typeof options != "object" || !options.require_confirmation) return;
+		const pendingPath = getPendingAdsTxtPath(this.#absoluteConfigPath, this.#config);
+		try {
+			await removePendingAdsTxt(pendingPath);
+		} catch (e) {
+			logger.warning(`Failed to remove ${pendingPath}: ${e}`);
+		}
+	}
+
+	/**
+	 * Returns the configured sources, with urls that were provided as string converted to an object.
+	 * @returns {AdsTxtSourceConfig[]}
+	 */
+	#getSourceConfigs() {
+		return this.#config.sources.map((sourceConfig) => {
+			if (typeof sourceConfig == "string") return { source: sourceConfig };
+			return sourceConfig;
+		});
+	}
+
+	/**
+	 * @param {string} file
+	 */
+	#getAbsoluteSourceFilePath(file) {
+		return path.resolve(path.dirname(this.#absoluteConfigPath), file);
+	}
+
+	/**
+	 * Returns the name that is used for a source in logs and comments.
+	 * @param {AdsTxtSourceConfig} sourceConfig
+	 * @param {number} index
+	 */
+	#getSourceName(sourceConfig, index) {
+		if (sourceConfig.file) return this.#getAbsoluteSourceFilePath(sourceConfig.file);
+		if (sourceConfig.records) return `${this.#absoluteConfigPath} (sources[${index}])`;
+		return sourceConfig.source || "";
+	}
+
+	/**
+	 * Returns the comment that is placed above the records of a source.
+	 * @param {AdsTxtSourceConfig} sourceConfig
+	 * @param {string} name
+	 */
+	#getSourceHeader(sourceConfig, name) {
+		if (sourceConfig.file) return `Read from ${name}`;
+		if (sourceConfig.records) return `Listed in ${name}`;
+		return `Fetched from ${name}`;
+	}
+
+	/**
+	 * Fetches the url, reads the file, or returns the inline records of a source.
+	 * @param {AdsTxtSourceConfig} sourceConfig
+	 * @param {string} name
+	 * @returns {Promise<import("./AdsTxtCache.js").FetchAdsTxtResult>}
+	 */
+	async #loadSourceContent(sourceConfig, name) {
+		if (sourceConfig.file) {
+			try {
+				const content = await Deno.readTextFile(name);
+				return { fresh: true, content };
+			} catch (e) {
+				logger.warning(`Failed to read ${name}: ${e}`);
+				throw e;
+			}
+		}
+		if (sourceConfig.records) {
+			return { fresh: true, content: sourceConfig.records.join("\n") };
+		}
+		if (!sourceConfig.source) {
+			throw new Error("Assertion failed, the source has no source, file or records");
+		}
+		return await this.#adsTxtCache.fetchAdsTxt(
+			sourceConfig.source,
+			this.#getCacheDurationMs(sourceConfig),
+			this.#getFetchOptions(sourceConfig),
+		);
+	}
+
+	/**
+	 * @param {AdsTxtSourceConfig} sourceConfig
+	 */
+	#getCacheDurationMs(sourceConfig) {
+		const cacheDuration = sourceConfig.cache_duration ?? this.#config.cache_duration;
+		if (!cacheDuration) return undefined;
+		return parseDuration(cacheDuration) ?? undefined;
+	}
+
+	/**
+	 * Combines the fetch settings of the destination with those of the source.
+	 * @param {AdsTxtSourceConfig} sourceConfig
+	 * @returns {import("./AdsTxtCache.js").FetchAdsTxtOptions}
+	 */
+	#getFetchOptions(sourceConfig) {
+		/** @type {import("./AdsTxtCache.js").FetchAdsTxtOptions} */
+		const options = {
+			cacheDirectory: this.#absoluteCacheDirectory,
+		};
+		const maxStale = sourceConfig.max_stale ?? this.#config.max_stale;
+		if (maxStale) {
+			options.maxStaleMs = parseDuration(maxStale) ?? undefined;
+		}
+		const fetchTimeout = sourceConfig.fetch_timeout ?? this.#config.fetch_timeout;
+		if (fetchTimeout) {
+			options.timeoutMs = parseDuration(fetchTimeout) ?? undefined;
+		}
+		const retries = sourceConfig.retries ?? this.#config.retries;
+		if (retries != undefined) {
+			options.retries = retries;
+		}
+		const retryDelay = sourceConfig.retry_delay ?? this.#config.retry_delay;
+		if (retryDelay) {
+			options.retryDelayMs = parseDuration(retryDelay) ?? undefined;
+		}
+		return options;
+	}
+
+	/**
+	 * Creates the records for the `variables` of the destination.
+	 * Invalid values are logged, but still included.
+	 */
+	#getVariableRecords() {
+		/** @type {import("./parseAdsTxt.js").AdsTxtVariableRecord[]} */
+		const records = [];
+		for (const [key, value] of Object.entries(this.#config.variables || {})) {
+			const values = Array.isArray(value) ? value : [value];
+			for (const variableValue of values) {
+				/** @type {import("./parseAdsTxt.js").AdsTxtVariableRecord} */
+				const record = { type: "variable", key, value: variableValue };
+				const reason = validateAdsTxtRecord(record);
+				if (reason) {
+					logger.warning(`Invalid variable ${key} in ${this.#absoluteConfigPath}: ${reason}`);
+				}
+				records.push(record);
+			}
+		}
+		return records;
+	}
+
+	/**
+	 * Describes how many lines were removed by each filter, filters that didn't remove anything are omitted.
+	 * @param {Map<import("./transformAdsTxt.js").RecordFilterOption, number>} removedCounts
+	 * @param {string} from
+	 */
+	#formatRemovedCounts(removedCounts, from) {
+		/** @type {string[]} */
+		const reports = [];
+		for (const [option, count] of removedCounts) {
+			if (count == 0) continue;
+			reports.push(`${option} removed ${count} ${count == 1 ? "line" : "lines"} from ${from}`);
+		}
+		return reports;
+	}
+
 	/**
 	 * Fetches all sources and returns the generated string for the ads.txt.
 	 * The string includes errors and warnings for failed requests.
 	 */
 	async #getAdsTxtsContent() {
+		const { records, sources } = await this.#getAdsTxtsRecords();
+		return { content: serializeAdsTxt(records), sources };
+	}
+
+	/**
+	 * Fetches all sources, transforms them, and merges them into a single list of records.
+	 * The records include comments with errors and warnings for failed requests.
+	 * @returns {Promise<{records: import("./parseAdsTxt.js").AdsTxtRecord[], sources: import("./AdsTxtHistory.js").SourceMetadata[]}>}
+	 */
+	async #getAdsTxtsRecords() {
 		if (!this.#config) {
 			throw new Error("Assertion failed, no config is currently loaded");
 		}
+		const variableRecords = this.#getVariableRecords();
 		if (this.#config.sources.length == 0) {
-			return "# Warning: The configuration file contains no sources urls.\n";
+			return {
+				records: [
+					...variableRecords,
+					createComment("Warning: The configuration file contains no sources urls."),
+					createEmptyLine(),
+				],
+				sources: [],
+			};
 		}
 
+		/** @type {Map<string, string>} */
+		const sourceHeaders = new Map();
 		const promises = [];
-		for (const sourceConfig of this.#config.sources) {
-			/** @type {AdsTxtSourceConfig} */
-			let config;
-			if (typeof sourceConfig != "string") {
-				config = sourceConfig;
-			} else {
-				config = {
-					source: sourceConfig,
-				};
-			}
+		for (const [index, config] of this.#getSourceConfigs().entries()) {
+			const name = this.#getSourceName(config, index);
+			sourceHeaders.set(name, this.#getSourceHeader(config, name));
 			const promise = (async () => {
 				let result;
 				let error;
 				try {
-					result = await this.#adsTxtCache.fetchAdsTxt(config.source);
+					result = await this.#loadSourceContent(config, name);
 				} catch (e) {
 					error = e;
 				}
-				if (result && config.transform) {
-					result.content = transformAdsTxt(result.content, config.transform);
+				/** @type {import("./parseAdsTxt.js").AdsTxtRecord[] | null} */
+				let records = null;
+				let rejected = false;
+				/** @type {Map<import("./transformAdsTxt.js").RecordFilterOption, number>} */
+				const removedCounts = new Map();
+				if (result) {
+					records = parseAdsTxt(result.content);
+					if (config.transform) {
+						records = transformAdsTxt(records, config.transform, removedCounts);
+					}
+					const problems = validateAdsTxt(records);
+					for (const { record, reason } of problems) {
+						logger.warning(`Invalid line in ${name} at line ${record.lineNumber}: ${reason}`);
+					}
+					if (problems.length > 0) {
+						if (config.invalid_lines == "reject") {
+							rejected = true;
+							records = null;
+						} else if (config.invalid_lines == "drop" || config.invalid_lines == "comment") {
+							/** @type {Map<import("./parseAdsTxt.js").AdsTxtRecord, string>} */
+							const reasons = new Map();
+							for (const { record, reason } of problems) {
+								reasons.set(record, reason);
+							}
+							const policy = config.invalid_lines;
+							records = records.flatMap((record) => {
+								const reason = reasons.get(record);
+								if (reason == undefined) return [record];
+								if (policy == "drop") return [];
+								return [commentOutInvalidRecord(record, reason)];
+							});
+						}
+					}
 				}
 				return {
-					url: config.source,
+					url: name,
 					result,
+					records,
+					rejected,
 					error,
+					removedCounts,
 				};
 			})();
 			promises.push(promise);
 		}
 		const results = await Promise.all(promises);
 		const failedUrls = [];
+		const rejectedUrls = [];
 		const failedButCachedUrls = [];
-		const successfulResults = [];
+		/** @type {import("./mergeAdsTxt.js").AdsTxtSourceRecords[]} */
+		let successfulResults = [];
+		/** @type {string[]} */
+		const filterReports = [];
+		/** @type {import("./AdsTxtHistory.js").SourceMetadata[]} */
+		const sources = [];
 		for (const result of results) {
-			if (result.result) {
+			if (result.result && result.records) {
 				successfulResults.push({
 					url: result.url,
-					content: result.result.content,
+					records: result.records,
 				});
+				filterReports.push(...this.#formatRemovedCounts(result.removedCounts, result.url));
 				if (!result.result.fresh) {
 					failedButCachedUrls.push(result.url);
 				}
+				sources.push({ name: result.url, status: result.result.fresh ? "fresh" : "cached" });
+			} else if (result.rejected) {
+				rejectedUrls.push(result.url);
+				sources.push({ name: result.url, status: "rejected" });
 			} else if (result.error) {
 				failedUrls.push(result.url);
+				sources.push({ name: result.url, status: "failed" });
 			}
 		}
 
-		let content = "";
+		if (variableRecords.length > 0) {
+			// Remove variables from sources that we are declaring ourselves, so that they don't conflict.
+			const keys = new Set(variableRecords.map((record) => record.key.toUpperCase()));
+			successfulResults = successfulResults.map((result) => ({
+				url: result.url,
+				records: result.records.filter((record) => {
+					return record.type != "variable" || !keys.has(record.key.toUpperCase());
+				}),
+			}));
+		}
+
+		if (this.#config.transform) {
+			const transform = this.#config.transform;
+			/** @type {Map<import("./transformAdsTxt.js").RecordFilterOption, number>} */
+			const removedCounts = new Map();
+			successfulResults = successfulResults.map((result) => ({
+				url: result.url,
+				records: transformAdsTxt(result.records, transform, removedCounts),
+			}));
+			filterReports.push(...this.#formatRemovedCounts(removedCounts, "all sources"));
+		}
+
+		if (this.#config.dedupe) {
+			const dedupeOptions = this.#config.dedupe === true ? {} : this.#config.dedupe;
+			successfulResults = dedupeAdsTxtSources(successfulResults, dedupeOptions);
+		}
+
+		const { sources: resolvedResults, conflicts } = resolveAdsTxtConflicts(
+			successfulResults,
+			this.#config.conflicts,
+		);
+		successfulResults = resolvedResults;
+		for (const conflict of conflicts) {
+			logger.warning(
+				`Conflicting declarations in ${this.#absoluteDestinationPath}: ${formatAdsTxtConflict(conflict)}`,
+			);
+		}
+
+		/** @type {import("./parseAdsTxt.js").AdsTxtRecord[]} */
+		const records = [];
+		if (variableRecords.length > 0) {
+			records.push(...variableRecords);
+			records.push(createEmptyLine());
+		}
+
 		if (failedUrls.length > 0) {
-			content += "# Error: The following urls failed and are not included:\n";
+			records.push(createComment("Error: The following urls failed and are not included:"));
 			for (const url of failedUrls) {
-				content += `# - ${url}`;
+				records.push(createComment(`- ${url}`));
 			}
-			content += "\n\n";
+			records.push(createEmptyLine());
+		}
+
+		if (rejectedUrls.length > 0) {
+			records.push(createComment("Error: The following urls contain invalid lines and are not included:"));
+			for (const url of rejectedUrls) {
+				records.push(createComment(`- ${url}`));
+			}
+			records.push(createEmptyLine());
 		}
 
 		if (failedButCachedUrls.length > 0) {
-			content += "# Warning: The following urls failed, but were cached and are still included:\n";
+			records.push(createComment("Warning: The following urls failed, but were cached and are still included:"));
 			for (const url of failedButCachedUrls) {
-				content += `# - ${url}`;
+				records.push(createComment(`- ${url}`));
+			}
+			records.push(createEmptyLine());
+		}
+
+		if (conflicts.length > 0) {
+			records.push(createComment("Warning: The following records have conflicting declarations:"));
+			for (const conflict of conflicts) {
+				records.push(createComment(`- ${formatAdsTxtConflict(conflict)}`));
+			}
+			records.push(createEmptyLine());
+		}
+
+		if (filterReports.length > 0) {
+			records.push(createComment("The following filters removed lines:"));
+			for (const report of filterReports) {
+				records.push(createComment(`- ${report}`));
 			}
-			content += "\n\n";
+			records.push(createEmptyLine());
 		}
 
-		for (const result of successfulResults) {
-			content += `# Fetched from ${result.url}\n`;
-			content += result.content;
-			content += "\n\n";
+		const sort = this.#config.sort;
+		if (sort == "domain" || sort == "relationship") {
+			if (successfulResults.length > 0) {
+				records.push(createComment("Combined from:"));
+				for (const result of successfulResults) {
+					records.push(createComment(`- ${result.url}`));
+				}
+				records.push(createEmptyLine());
+			}
+			const allRecords = successfulResults.flatMap((result) => result.records);
+			if (sort == "domain") {
+				records.push(...sortAdsTxtRecords(allRecords));
+				records.push(createEmptyLine());
+			} else {
+				for (const [relationship, group] of groupAdsTxtRecordsByRelationship(allRecords)) {
+					if (relationship) records.push(createComment(relationship));
+					records.push(...group);
+					records.push(createEmptyLine());
+				}
+			}
+		} else {
+			for (const result of successfulResults) {
+				records.push(createComment(sourceHeaders.get(result.url) || `Fetched from ${result.url}`));
+				records.push(...(sort == "sources" ? sortAdsTxtRecords(result.records) : result.records));
+				records.push(createEmptyLine());
+			}
 		}
-		return content;
+		records.push(createEmptyLine());
+		return { records, sources };
 	}
 }
@@ -1,7 +1,7 @@
-import * as yaml from "$std/encoding/yaml.ts";
 import { SingleInstancePromise } from "./SingleInstancePromise.js";
 import { AdsTxtUpdater } from "./AdsTxtUpdater.js";
 import { logger } from "./logger.js";
+import { loadConfig } from "./loadConfig.js";
 
 /**
  * A ConfigWatcher is responsible for updating the ads.txt files configured in exactly one configuration file.
@@ -22,16 +22,20 @@ export class ConfigWatcher {
 	/**
 	 * @param {string} absoluteConfigPath
 	 * @param {import("./AdsTxtCache.js").AdsTxtCache} adsTxtCache
+	 * @param {import("./Metrics.js").Metrics?} metrics
 	 */
-	constructor(absoluteConfigPath, adsTxtCache) {
+	constructor(absoluteConfigPath, adsTxtCache, metrics = null) {
 		this.#absoluteConfigPath = absoluteConfigPath;
 
 		this.#loadConfigInstance = new SingleInstancePromise(async () => {
 			if (this.#destructed) return;
-			const content = await Deno.readTextFile(this.#absoluteConfigPath);
-			let parsed = yaml.parse(content, {
-				filename: this.#absoluteConfigPath,
-			});
+			const keepingPrevious = this.#updaters.size > 0 ? " The previous configuration will keep running." : "";
+			const { configs, error } = await loadConfig(this.#absoluteConfigPath);
+			if (error) {
+				logger.error(`${error.message}${keepingPrevious}\n${error.details}`);
+				this.#notifyReloadFailed(`${error.message}\n${error.details}`);
+				return;
+			}
 
 			for (const updater of this.#updaters) {
 				const promise = updater.destructor();
@@ -39,12 +43,8 @@ export class ConfigWatcher {
 			}
 			this.#updaters.clear();
 
-			if (!Array.isArray(parsed)) {
-				parsed = [parsed];
-			}
-			const configs = /** @type {import("./AdsTxtUpdater.js").AdsTxtConfig[]} */ (parsed);
 			for (const config of configs) {
-				const updater = new AdsTxtUpdater(this.#absoluteConfigPath, config, adsTxtCache);
+				const updater = new AdsTxtUpdater(this.#absoluteConfigPath, config, adsTxtCache, { metrics });
 				this.#updaters.add(updater);
 			}
 
@@ -55,6 +55,13 @@ export class ConfigWatcher {
 		this.#watchConfig();
 	}
 
+	/**
+	 * The updaters of the currently loaded configuration.
+	 */
+	get updaters() {
+		return [...this.#updaters];
+	}
+
 	/**
 	 * Waits for existing promises to resolve and then cleans up any created watchers.
 	 */
@@ -88,6 +95,16 @@ export class ConfigWatcher {
 		return Promise.all(promises);
 	}
 
+	/**
+	 * Since the new configuration couldn't be loaded, the webhooks of the previous configuration are used.
+	 * @param {string} message
+	 */
+	#notifyReloadFailed(message) {
+		for (const updater of this.#updaters) {
+			updater.notifyConfigReloadFailed(message);
+		}
+	}
+
 	/**
 	 * Watch the config file for changes
 	 */
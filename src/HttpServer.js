@@ -0,0 +1,60 @@
+import { serve } from "$std/http/server.ts";
+import { logger } from "./logger.js";
+
+/**
+ * @typedef HttpServerOptions
+ * @property {number} [port]
+ * @property {string} [hostname] Defaults to 0.0.0.0.
+ */
+
+/**
+ * Listens for HTTP requests until it is closed.
+ */
+export class HttpServer {
+	#handler;
+	#name;
+	#defaultPort;
+	#pathname;
+	#abortController = new AbortController();
+	/** @type {Promise<void>?} */
+	#servePromise = null;
+
+	/**
+	 * @param {(request: Request) => Response} handler
+	 * @param {object} options
+	 * @param {string} options.name What is being served, used in the log message once the server is listening.
+	 * @param {number} options.defaultPort
+	 * @param {string} [options.pathname] The path that is included in the log message.
+	 */
+	constructor(handler, { name, defaultPort, pathname = "" }) {
+		this.#handler = handler;
+		this.#name = name;
+		this.#defaultPort = defaultPort;
+		this.#pathname = pathname;
+	}
+
+	/**
+	 * Starts listening for requests.
+	 * @param {HttpServerOptions} [options]
+	 */
+	listen({ port = this.#defaultPort, hostname = "0.0.0.0" } = {}) {
+		if (this.#servePromise) {
+			throw new Error("Server is already listening");
+		}
+		const name = this.#name;
+		const pathname = this.#pathname;
+		this.#servePromise = serve(this.#handler, {
+			port,
+			hostname,
+			signal: this.#abortController.signal,
+			onListen({ hostname, port }) {
+				logger.info(`Serving ${name} at http://${hostname}:${port}${pathname}`);
+			},
+		});
+	}
+
+	async close() {
+		this.#abortController.abort();
+		await this.#servePromise;
+	}
+}
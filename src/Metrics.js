@@ -0,0 +1,190 @@
+/**
+ * @typedef {"counter" | "gauge" | "histogram"} MetricType
+ */
+
+/**
+ * @typedef MetricDefinition
+ * @property {MetricType} type
+ * @property {string} help
+ */
+
+/**
+ * All metrics that are exposed, metrics that have not been recorded yet are still listed with their help text.
+ * @type {Object<string, MetricDefinition>}
+ */
+const METRIC_DEFINITIONS = {
+	adstxt_source_fetches_total: {
+		type: "counter",
+		help: "Requests made to a source, by result.",
+	},
+	adstxt_source_fetch_duration_seconds: {
+		type: "histogram",
+		help: "Duration of requests made to a source.",
+	},
+	adstxt_source_last_success_timestamp_seconds: {
+		type: "gauge",
+		help: "Time at which the content of a source was last loaded successfully.",
+	},
+	adstxt_source_staleness_seconds: {
+		type: "gauge",
+		help: "Time since the content of a source was last loaded successfully.",
+	},
+	adstxt_destination_writes_total: {
+		type: "counter",
+		help: "Times a destination was written.",
+	},
+	adstxt_destination_records: {
+		type: "gauge",
+		help: "Data records in a destination.",
+	},
+	adstxt_destination_watcher_rewrites_total: {
+		type: "counter",
+		help: "Times a destination was written because it was changed or removed by another application.",
+	},
+};
+
+const HISTOGRAM_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * @typedef HistogramValue
+ * @property {number[]} bucketCounts
+ * @property {number} sum
+ * @property {number} count
+ */
+
+/**
+ * Collects metrics and formats them using the Prometheus text format.
+ */
+export class Metrics {
+	/**
+	 * Values of counters and gauges, by metric name and serialized labels.
+	 * @type {Map<string, Map<string, number>>}
+	 */
+	#values = new Map();
+	/** @type {Map<string, Map<string, HistogramValue>>} */
+	#histograms = new Map();
+
+	/**
+	 * @param {string} name
+	 * @param {Object<string, string>} labels
+	 * @param {number} amount
+	 */
+	incrementCounter(name, labels, amount = 1) {
+		const values = this.#getValues(name, "counter");
+		const key = serializeLabels(labels);
+		values.set(key, (values.get(key) || 0) + amount);
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {Object<string, string>} labels
+	 * @param {number} value
+	 */
+	setGauge(name, labels, value) {
+		this.#getValues(name, "gauge").set(serializeLabels(labels), value);
+	}
+
+	/**
+	 * Removes all values of a gauge, useful for gauges that are recomputed every time metrics are collected.
+	 * @param {string} name
+	 */
+	clearGauge(name) {
+		this.#getValues(name, "gauge").clear();
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {Object<string, string>} labels
+	 * @param {number} value
+	 */
+	observeHistogram(name, labels, value) {
+		assertMetricType(name, "histogram");
+		let histograms = this.#histograms.get(name);
+		if (!histograms) {
+			histograms = new Map();
+			this.#histograms.set(name, histograms);
+		}
+		const key = serializeLabels(labels);
+		let histogram = histograms.get(key);
+		if (!histogram) {
+			histogram = { bucketCounts: HISTOGRAM_BUCKETS.map(() => 0), sum: 0, count: 0 };
+			histograms.set(key, histogram);
+		}
+		for (const [i, bucket] of HISTOGRAM_BUCKETS.entries()) {
+			if (value <= bucket) histogram.bucketCounts[i]++;
+		}
+		histogram.sum += value;
+		histogram.count++;
+	}
+
+	/**
+	 * Formats all metrics using the Prometheus text format.
+	 */
+	serialize() {
+		/** @type {string[]} */
+		const lines = [];
+		for (const [name, definition] of Object.entries(METRIC_DEFINITIONS)) {
+			lines.push(`# HELP ${name} ${definition.help}`);
+			lines.push(`# TYPE ${name} ${definition.type}`);
+			if (definition.type == "histogram") {
+				for (const [labels, histogram] of this.#histograms.get(name) || []) {
+					for (const [i, bucket] of HISTOGRAM_BUCKETS.entries()) {
+						const bucketLabels = joinLabels(labels, `le="${bucket}"`);
+						lines.push(`${name}_bucket{${bucketLabels}} ${histogram.bucketCounts[i]}`);
+					}
+					lines.push(`${name}_bucket{${joinLabels(labels, 'le="+Inf"')}} ${histogram.count}`);
+					lines.push(`${name}_sum{${labels}} ${histogram.sum}`);
+					lines.push(`${name}_count{${labels}} ${histogram.count}`);
+				}
+			} else {
+				for (const [labels, value] of this.#values.get(name) || []) {
+					lines.push(`${name}{${labels}} ${value}`);
+				}
+			}
+		}
+		return lines.join("\n") + "\n";
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {MetricType} type
+	 */
+	#getValues(name, type) {
+		assertMetricType(name, type);
+		let values = this.#values.get(name);
+		if (!values) {
+			values = new Map();
+			this.#values.set(name, values);
+		}
+		return values;
+	}
+}
+
+/**
+ * @param {string} name
+ * @param {MetricType} type
+ */
+function assertMetricType(name, type) {
+	const definition = METRIC_DEFINITIONS[name];
+	if (!definition || definition.type != type) {
+		throw new Error(`Assertion failed, "${name}" is not a known ${type}`);
+	}
+}
+
+/**
+ * @param {Object<string, string>} labels
+ */
+function serializeLabels(labels) {
+	return Object.entries(labels).map(([key, value]) => {
+		const escaped = value.replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+		return `${key}="${escaped}"`;
+	}).join(",");
+}
+
+/**
+ * @param {string} labels
+ * @param {string} extraLabel
+ */
+function joinLabels(labels, extraLabel) {
+	return labels ? `${labels},${extraLabel}` : extraLabel;
+}
@@ -0,0 +1,113 @@
+import { HttpServer } from "./HttpServer.js";
+
+/**
+ * Exposes Prometheus metrics at `/metrics` and a health check at `/healthz`.
+ * The health check fails when a required source has exceeded its maximum staleness.
+ */
+export class MetricsServer {
+	#metrics;
+	#getUpdaters;
+	#httpServer;
+
+	/**
+	 * @param {import("./Metrics.js").Metrics} metrics
+	 * @param {import("./AdsTxtServer.js").GetUpdaters} getUpdaters
+	 */
+	constructor(metrics, getUpdaters) {
+		this.#metrics = metrics;
+		this.#getUpdaters = getUpdaters;
+		this.#httpServer = new HttpServer((request) => this.handleRequest(request), {
+			name: "metrics",
+			defaultPort: 9100,
+			pathname: "/metrics",
+		});
+	}
+
+	/**
+	 * Starts listening for requests, the port defaults to 9100.
+	 * @param {import("./HttpServer.js").HttpServerOptions} [options]
+	 */
+	listen(options) {
+		this.#httpServer.listen(options);
+	}
+
+	async close() {
+		await this.#httpServer.close();
+	}
+
+	/**
+	 * Whether requests for this path are handled by the metrics server, rather than resulting in a 404.
+	 * @param {string} pathname
+	 */
+	handlesPath(pathname) {
+		return pathname == "/metrics" || pathname == "/healthz";
+	}
+
+	/**
+	 * @param {Request} request
+	 * @returns {Response}
+	 */
+	handleRequest(request) {
+		const { pathname } = new URL(request.url);
+		if (pathname == "/metrics") {
+			this.#collectSourceStates();
+			return new Response(this.#metrics.serialize(), {
+				headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" },
+			});
+		} else if (pathname == "/healthz") {
+			const problems = this.#getHealthProblems();
+			const body = problems.length == 0 ? "ok\n" : problems.join("\n") + "\n";
+			return new Response(body, {
+				status: problems.length == 0 ? 200 : 503,
+				headers: { "Content-Type": "text/plain; charset=utf-8" },
+			});
+		}
+		return new Response("Not Found", { status: 404 });
+	}
+
+	/**
+	 * The staleness of sources changes over time, so it is computed every time metrics are requested.
+	 */
+	#collectSourceStates() {
+		this.#metrics.clearGauge("adstxt_source_last_success_timestamp_seconds");
+		this.#metrics.clearGauge("adstxt_source_staleness_seconds");
+		const now = Date.now();
+		for (const updater of this.#getUpdaters()) {
+			for (const state of updater.sourceStates) {
+				if (state.lastSuccessTime == null) continue;
+				const labels = { destination: updater.absoluteDestinationPath, source: state.name };
+				this.#metrics.setGauge(
+					"adstxt_source_last_success_timestamp_seconds",
+					labels,
+					state.lastSuccessTime / 1000,
+				);
+				this.#metrics.setGauge("adstxt_source_staleness_seconds", labels, (now - state.lastSuccessTime) / 1000);
+			}
+		}
+	}
+
+	/**
+	 * Returns a description of every required source that has exceeded its maximum staleness.
+	 */
+	#getHealthProblems() {
+		/** @type {string[]} */
+		const problems = [];
+		const now = Date.now();
+		for (const updater of this.#getUpdaters()) {
+			for (const state of updater.sourceStates) {
+				// Sources that haven't been loaded yet are not considered, so that starting up doesn't fail the check.
+				if (!state.required || state.status == null) continue;
+				const name = `${state.name} (${updater.absoluteDestinationPath})`;
+				if (state.status == "failed") {
+					problems.push(`${name} failed to load and is not included.`);
+				} else if (state.status == "rejected") {
+					problems.push(`${name} was rejected because of invalid lines and is not included.`);
+				} else if (state.lastSuccessTime != null && now - state.lastSuccessTime > state.maxStaleMs) {
+					const seconds = Math.round((now - state.lastSuccessTime) / 1000);
+					problems.push(`${name} has not been loaded successfully for ${seconds} seconds.`);
+				}
+			}
+		}
+		return problems;
+	}
+}
@@ -0,0 +1,196 @@
+import { getDataRecordKey } from "./mergeAdsTxt.js";
+
+/**
+ * @typedef AdsTxtDiff
+ * @property {import("./parseAdsTxt.js").AdsTxtDataRecord[]} added Records that only exist in the new records.
+ * @property {import("./parseAdsTxt.js").AdsTxtDataRecord[]} removed Records that only exist in the old records.
+ * @property {number} oldCount The amount of unique data records in the old records.
+ */
+
+/**
+ * Compares the data records of two versions of an ads.txt.
+ * Records are compared the same way as when removing duplicates,
+ * so differences in casing or whitespace are not considered a change.
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord[]} oldRecords
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord[]} newRecords
+ * @returns {AdsTxtDiff}
+ */
+export function diffAdsTxt(oldRecords, newRecords) {
+	const oldMap = getDataRecordMap(oldRecords);
+	const newMap = getDataRecordMap(newRecords);
+	/** @type {AdsTxtDiff} */
+	const diff = {
+		added: [],
+		removed: [],
+		oldCount: oldMap.size,
+	};
+	for (const [key, record] of newMap) {
+		if (!oldMap.has(key)) diff.added.push(record);
+	}
+	for (const [key, record] of oldMap) {
+		if (!newMap.has(key)) diff.removed.push(record);
+	}
+	return diff;
+}
+
+/**
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord[]} records
+ */
+function getDataRecordMap(records) {
+	/** @type {Map<string, import("./parseAdsTxt.js").AdsTxtDataRecord>} */
+	const map = new Map();
+	for (const record of records) {
+		if (record.type != "data") continue;
+		const key = getDataRecordKey(record);
+		if (!map.has(key)) map.set(key, record);
+	}
+	return map;
+}
+
+/**
+ * @typedef AdsTxtChangedRecord
+ * @property {import("./parseAdsTxt.js").AdsTxtDataRecord} from
+ * @property {import("./parseAdsTxt.js").AdsTxtDataRecord} to
+ */
+
+/**
+ * @typedef AdsTxtSourceDiff
+ * @property {string?} source The source that contains the records, or `null` when the records
+ * were not placed below the header of a source, for instance when they were sorted by domain.
+ * @property {import("./parseAdsTxt.js").AdsTxtDataRecord[]} added
+ * @property {import("./parseAdsTxt.js").AdsTxtDataRecord[]} removed
+ * @property {AdsTxtChangedRecord[]} changed Records of the same ad system and account id
+ * whose relationship or certification authority id has changed.
+ */
+
+const SOURCE_HEADER_REGEX = /^(?:Fetched from|Read from|Listed in) (.+)$/;
+
+/**
+ * Compares two versions of a generated ads.txt and groups the differences by the source they were found in.
+ * Sources are determined using the comments that are placed above the records of every source.
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord[]} oldRecords
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord[]} newRecords
+ * @returns {AdsTxtSourceDiff[]} Only sources that contain changes are included.
+ */
+export function diffAdsTxtBySource(oldRecords, newRecords) {
+	const oldGroups = groupDataRecordsBySource(oldRecords);
+	const newGroups = groupDataRecordsBySource(newRecords);
+	const sources = new Set([...newGroups.keys(), ...oldGroups.keys()]);
+
+	/** @type {AdsTxtSourceDiff[]} */
+	const diffs = [];
+	for (const source of sources) {
+		const oldMap = oldGroups.get(source) || new Map();
+		const newMap = newGroups.get(source) || new Map();
+		/** @type {AdsTxtSourceDiff} */
+		const diff = { source, added: [], removed: [], changed: [] };
+		for (const [key, record] of oldMap) {
+			if (!newMap.has(key)) diff.removed.push(record);
+		}
+		for (const [key, record] of newMap) {
+			if (oldMap.has(key)) continue;
+			const accountKey = getAccountKey(record);
+			const removedIndex = diff.removed.findIndex((removed) => getAccountKey(removed) == accountKey);
+			if (removedIndex >= 0) {
+				const [from] = diff.removed.splice(removedIndex, 1);
+				diff.changed.push({ from, to: record });
+			} else {
+				diff.added.push(record);
+			}
+		}
+		if (diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0) {
+			diffs.push(diff);
+		}
+	}
+	return diffs;
+}
+
+/**
+ * Formats the result of {@linkcode diffAdsTxtBySource} as readable lines.
+ * @param {AdsTxtSourceDiff[]} diffs
+ * @returns {string[]}
+ */
+export function formatAdsTxtSourceDiffs(diffs) {
+	/** @type {string[]} */
+	const lines = [];
+	for (const diff of diffs) {
+		lines.push(`  ${diff.source ?? "Records without a source"}`);
+		for (const record of diff.added) {
+			lines.push(`    + ${formatDataRecord(record)}`);
+		}
+		for (const record of diff.removed) {
+			lines.push(`    - ${formatDataRecord(record)}`);
+		}
+		for (const { from, to } of diff.changed) {
+			lines.push(`    ~ ${formatDataRecord(from)} -> ${formatDataRecord(to)}`);
+		}
+	}
+	return lines;
+}
+
+/**
+ * Counts the records in the result of {@linkcode diffAdsTxtBySource}.
+ * @param {AdsTxtSourceDiff[]} diffs
+ */
+export function countAdsTxtSourceDiffs(diffs) {
+	let added = 0;
+	let removed = 0;
+	let changed = 0;
+	for (const diff of diffs) {
+		added += diff.added.length;
+		removed += diff.removed.length;
+		changed += diff.changed.length;
+	}
+	return { added, removed, changed };
+}
+
+/**
+ * Returns a summary such as "2 added, 1 removed, 0 changed".
+ * @param {AdsTxtSourceDiff[]} diffs
+ */
+export function summarizeAdsTxtSourceDiffs(diffs) {
+	const { added, removed, changed } = countAdsTxtSourceDiffs(diffs);
+	return `${added} added, ${removed} removed, ${changed} changed`;
+}
+
+/**
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord[]} records
+ */
+function groupDataRecordsBySource(records) {
+	/** @type {Map<string?, Map<string, import("./parseAdsTxt.js").AdsTxtDataRecord>>} */
+	const groups = new Map();
+	/** @type {string?} */
+	let source = null;
+	for (const record of records) {
+		if (record.type == "comment") {
+			const match = record.comment.trim().match(SOURCE_HEADER_REGEX);
+			if (match) source = match[1];
+			continue;
+		}
+		if (record.type != "data") continue;
+		let group = groups.get(source);
+		if (!group) {
+			group = new Map();
+			groups.set(source, group);
+		}
+		const key = `${getDataRecordKey(record)}, ${(record.certificationAuthorityId || "").trim().toLowerCase()}`;
+		if (!group.has(key)) group.set(key, record);
+	}
+	return groups;
+}
+
+/**
+ * @param {import("./parseAdsTxt.js").AdsTxtDataRecord} record
+ */
+function getAccountKey(record) {
+	return `${record.domain.toLowerCase()}, ${record.publisherId.trim()}`;
+}
+
+/**
+ * @param {import("./parseAdsTxt.js").AdsTxtDataRecord} record
+ */
+function formatDataRecord(record) {
+	let line = `${record.domain}, ${record.publisherId}, ${record.relationship}`;
+	if (record.certificationAuthorityId) line += `, ${record.certificationAuthorityId}`;
+	return line;
+}
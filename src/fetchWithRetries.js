@@ -0,0 +1,88 @@
+import { logger } from "./logger.js";
+
+/**
+ * @typedef FetchWithRetriesOptions
+ * @property {string} description Describes the request in log messages, such as `fetch https://example.com/ads.txt`.
+ * @property {number} timeoutMs Duration after which a single attempt is aborted.
+ * @property {number} retries How many times a failed request is retried.
+ * @property {number} retryDelayMs Delay before the first retry, every next retry waits twice as long.
+ * @property {AbortSignal} [signal] Aborts the current attempt as well as any pending retries.
+ * @property {(response: Response?, startTime: number) => void} [onAttempt] Called after every attempt
+ * with the response, or `null` when no response was received.
+ * `startTime` is the result of `performance.now()` before the request was made.
+ */
+
+/**
+ * Makes a request and retries with exponential backoff when it fails.
+ * Only network errors, timeouts and server errors are retried, other responses are returned immediately.
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {FetchWithRetriesOptions} options
+ * @returns {Promise<Response?>} The response, or `null` if all attempts failed or the request was aborted.
+ */
+export async function fetchWithRetries(
+	url,
+	init,
+	{ description, timeoutMs, retries, retryDelayMs, signal, onAttempt },
+) {
+	const attempts = retries + 1;
+	for (let attempt = 1; attempt <= attempts; attempt++) {
+		if (signal?.aborted) return null;
+		const abortController = new AbortController();
+		const timeoutId = setTimeout(() => abortController.abort(), timeoutMs);
+		const abortAttempt = () => abortController.abort();
+		signal?.addEventListener("abort", abortAttempt);
+		/** @type {string} */
+		let failureReason;
+		const startTime = performance.now();
+		try {
+			const response = await fetch(url, { ...init, signal: abortController.signal });
+			onAttempt?.(response, startTime);
+			if (response.status < 500) return response;
+			await response.body?.cancel();
+			failureReason = `the server responded with status ${response.status}`;
+		} catch (e) {
+			onAttempt?.(null, startTime);
+			if (signal?.aborted) {
+				return null;
+			} else if (abortController.signal.aborted) {
+				failureReason = `the request timed out after ${timeoutMs}ms`;
+			} else if (e instanceof TypeError) {
+				failureReason = `a network error occurred: ${e.message}`;
+			} else {
+				throw e;
+			}
+		} finally {
+			clearTimeout(timeoutId);
+			signal?.removeEventListener("abort", abortAttempt);
+		}
+
+		if (attempt >= attempts) {
+			logger.warning(`Failed to ${description}, ${failureReason}`);
+			break;
+		}
+		// Exponential backoff with jitter, so that retries of multiple requests don't all happen at once.
+		const maxDelay = retryDelayMs * 2 ** (attempt - 1);
+		const delay = Math.round(maxDelay / 2 + Math.random() * maxDelay / 2);
+		logger.warning(`Failed to ${description}, ${failureReason}. Retrying in ${delay}ms`);
+		await wait(delay, signal);
+	}
+	return null;
+}
+
+/**
+ * Resolves after the delay, or as soon as the signal is aborted.
+ * @param {number} delayMs
+ * @param {AbortSignal} [signal]
+ */
+function wait(delayMs, signal) {
+	return new Promise((resolve) => {
+		const done = () => {
+			clearTimeout(timeoutId);
+			signal?.removeEventListener("abort", done);
+			resolve(undefined);
+		};
+		const timeoutId = setTimeout(done, delayMs);
+		signal?.addEventListener("abort", done);
+	});
+}
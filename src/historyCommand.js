@@ -0,0 +1,130 @@
+import * as path from "$std/path/mod.ts";
+import { AdsTxtHistory } from "./AdsTxtHistory.js";
+import { diffAdsTxt } from "./diffAdsTxt.js";
+import { findDestinationConfig } from "./loadConfig.js";
+import { parseAdsTxt, serializeAdsTxtRecord } from "./parseAdsTxt.js";
+import { getDestinationWriteOptions, writeTextFileAtomic } from "./writeFileAtomic.js";
+
+const USAGE = `Usage:
+  adstxt_updater history list <config> <destination>
+  adstxt_updater history diff <config> <destination> <version> [<other version>]
+  adstxt_updater history restore <config> <destination> <version>
+  adstxt_updater history release <config> <destination>`;
+
+/**
+ * Runs one of the `history` subcommands, which allow you to inspect and restore previously generated versions.
+ * @param {string[]} args The arguments after `history`.
+ * @returns {Promise<number>} The exit code.
+ */
+export async function historyCommand(args) {
+	const [subcommand, configArg, destinationArg, ...versions] = args;
+	if (!subcommand || !configArg || !destinationArg) {
+		console.log(USAGE);
+		return 1;
+	}
+
+	const absoluteConfigPath = path.resolve(configArg);
+	const absoluteDestinationPath = path.resolve(destinationArg);
+	const config = await findDestinationConfig(absoluteConfigPath, absoluteDestinationPath);
+	if (!config) {
+		console.error(`${absoluteConfigPath} doesn't contain a destination for ${absoluteDestinationPath}.`);
+		return 1;
+	}
+	if (!config.history) {
+		console.error(`The history of ${absoluteDestinationPath} is not being kept, set "history" in the config.`);
+		return 1;
+	}
+	const historyDirectory = path.resolve(path.dirname(absoluteConfigPath), config.history.directory);
+	const history = new AdsTxtHistory(historyDirectory, absoluteDestinationPath, config.history.versions ?? 10);
+
+	if (subcommand == "list") {
+		const pinned = await history.getPinned();
+		const entries = await history.list();
+		if (entries.length == 0) {
+			console.log(`No versions of ${absoluteDestinationPath} have been saved yet.`);
+		}
+		for (const entry of entries) {
+			const recordCount = parseAdsTxt(entry.content).filter((record) => record.type == "data").length;
+			const pinnedStr = pinned?.version == entry.version ? " (pinned)" : "";
+			console.log(
+				`${entry.version}${pinnedStr} - ${new Date(entry.time).toUTCString()} - ${recordCount} records`,
+			);
+			for (const source of entry.sources) {
+				console.log(`  ${source.name} (${source.status})`);
+			}
+		}
+		return 0;
+	} else if (subcommand == "diff") {
+		if (versions.length == 0) {
+			console.log(USAGE);
+			return 1;
+		}
+		const oldEntry = await getVersionOrFail(history, versions[0]);
+		if (!oldEntry) return 1;
+		let newContent;
+		if (versions[1]) {
+			const newEntry = await getVersionOrFail(history, versions[1]);
+			if (!newEntry) return 1;
+			newContent = newEntry.content;
+		} else {
+			// Compare with the current file, without the comment that contains the date.
+			const lines = (await Deno.readTextFile(absoluteDestinationPath)).split("\n");
+			newContent = lines.slice(2).join("\n");
+		}
+		const diff = diffAdsTxt(parseAdsTxt(oldEntry.content), parseAdsTxt(newContent));
+		for (const record of diff.removed) {
+			console.log(`- ${serializeAdsTxtRecord(record).trim()}`);
+		}
+		for (const record of diff.added) {
+			console.log(`+ ${serializeAdsTxtRecord(record).trim()}`);
+		}
+		if (diff.added.length == 0 && diff.removed.length == 0) {
+			console.log("No records were added or removed.");
+		}
+		return 0;
+	} else if (subcommand == "restore") {
+		if (versions.length == 0) {
+			console.log(USAGE);
+			return 1;
+		}
+		const entry = await getVersionOrFail(history, versions[0]);
+		if (!entry) return 1;
+		// We pin the version before writing, so that a running updater doesn't immediately overwrite it.
+		await history.pin(entry.version);
+		const content = `# This file was restored from version ${entry.version} on ${
+			new Date().toUTCString()
+		}\n\n${entry.content}`;
+		await writeTextFileAtomic(
+			absoluteDestinationPath,
+			content,
+			await getDestinationWriteOptions(config, absoluteDestinationPath),
+		);
+		console.log(`Restored version ${entry.version} of ${absoluteDestinationPath}.`);
+		console.log(
+			`The version is pinned until you run "adstxt_updater history release ${configArg} ${destinationArg}".`,
+		);
+		return 0;
+	} else if (subcommand == "release") {
+		if (await history.release()) {
+			console.log(`Released ${absoluteDestinationPath}, it will be updated from its sources again.`);
+		} else {
+			console.log(`${absoluteDestinationPath} is not pinned to a version.`);
+		}
+		return 0;
+	}
+
+	console.log(USAGE);
+	return 1;
+}
+
+/**
+ * @param {AdsTxtHistory} history
+ * @param {string} version
+ */
+async function getVersionOrFail(history, version) {
+	const entry = await history.get(version);
+	if (!entry) {
+		console.error(`Version ${version} doesn't exist, use "history list" to see the available versions.`);
+	}
+	return entry;
+}
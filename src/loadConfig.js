@@ -0,0 +1,76 @@
+import * as path from "$std/path/mod.ts";
+import * as yaml from "$std/encoding/yaml.ts";
+import { formatConfigPath, validateConfig } from "./validateConfig.js";
+
+/**
+ * @typedef LoadConfigError
+ * @property {string} message A short description of what went wrong.
+ * @property {string} details The parse error, or a list of all problems in the configuration.
+ */
+
+/**
+ * @typedef {{configs: import("./AdsTxtUpdater.js").AdsTxtConfig[], error: null} | {configs: null, error: LoadConfigError}} LoadConfigResult
+ */
+
+/**
+ * Reads, parses and validates a configuration file.
+ * @param {string} absoluteConfigPath
+ * @returns {Promise<LoadConfigResult>}
+ */
+export async function loadConfig(absoluteConfigPath) {
+	let content;
+	let parsed;
+	try {
+		content = await Deno.readTextFile(absoluteConfigPath);
+		parsed = yaml.parse(content, {
+			filename: absoluteConfigPath,
+		});
+	} catch (e) {
+		return {
+			configs: null,
+			error: {
+				message: `Failed to load the configuration at ${absoluteConfigPath}.`,
+				details: String(e),
+			},
+		};
+	}
+
+	const problems = validateConfig(parsed, content);
+	if (problems.length > 0) {
+		const messages = problems.map((problem) => {
+			let location = absoluteConfigPath;
+			if (problem.lineNumber != null) location += `:${problem.lineNumber}`;
+			const keyPath = formatConfigPath(problem.path);
+			return `${location}: ${keyPath ? `${keyPath}: ` : ""}${problem.message}`;
+		});
+		return {
+			configs: null,
+			error: {
+				message: `The configuration at ${absoluteConfigPath} is invalid.`,
+				details: messages.join("\n"),
+			},
+		};
+	}
+
+	if (!Array.isArray(parsed)) {
+		parsed = [parsed];
+	}
+	return {
+		configs: /** @type {import("./AdsTxtUpdater.js").AdsTxtConfig[]} */ (parsed),
+		error: null,
+	};
+}
+
+/**
+ * Finds the configuration of a destination, for commands that operate on a single destination.
+ * @param {string} absoluteConfigPath
+ * @param {string} absoluteDestinationPath
+ */
+export async function findDestinationConfig(absoluteConfigPath, absoluteDestinationPath) {
+	let parsed = yaml.parse(await Deno.readTextFile(absoluteConfigPath));
+	if (!Array.isArray(parsed)) parsed = [parsed];
+	const configs = /** @type {import("./AdsTxtUpdater.js").AdsTxtConfig[]} */ (parsed);
+	return configs.find((config) => {
+		return path.resolve(path.dirname(absoluteConfigPath), config.destination) == absoluteDestinationPath;
+	}) || null;
+}
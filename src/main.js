@@ -1,20 +1,141 @@
 import * as path from "$std/path/mod.ts";
+import { parse } from "$std/flags/mod.ts";
 import { AdsTxtCache } from "./AdsTxtCache.js";
 import { ConfigWatcher } from "./ConfigWatcher.js";
+import { confirmPendingAdsTxt } from "./pendingAdsTxt.js";
+import { historyCommand } from "./historyCommand.js";
+import { findDestinationConfig } from "./loadConfig.js";
+import { AdsTxtServer, DEFAULT_PORT } from "./AdsTxtServer.js";
+import { Metrics } from "./Metrics.js";
+import { MetricsServer } from "./MetricsServer.js";
+import { runOnce } from "./runOnce.js";
 
 /**
  * @param {string[]} paths
+ * @param {Metrics?} metrics
  */
-export function run(paths) {
-	const cache = new AdsTxtCache();
+export function run(paths, metrics = null) {
+	const cache = new AdsTxtCache(metrics);
 
 	/** @type {ConfigWatcher[]} */
 	const configLoaders = [];
 	for (const arg of paths) {
 		const configPath = path.resolve(arg);
-		const loader = new ConfigWatcher(configPath, cache);
+		const loader = new ConfigWatcher(configPath, cache, metrics);
 		configLoaders.push(loader);
 	}
+	return configLoaders;
+}
+
+/**
+ * Runs the configuration files, and starts a metrics listener when `--metrics-port` is provided.
+ * With `--once` every destination is updated once, after which the process should exit.
+ * @param {string[]} args
+ * @returns {Promise<number?>} The exit code, or `null` when the configuration files keep running in the background.
+ */
+export async function runCommand(args) {
+	const flags = parse(args, {
+		string: ["metrics-port", "metrics-hostname"],
+		boolean: ["once"],
+	});
+	const paths = flags._.map(String);
+	if (paths.length == 0) {
+		console.log("Provide one or more paths to configuration files via the arguments.");
+		return 1;
+	}
+	if (flags.once) {
+		return await runOnce(paths);
+	}
+	const metricsPort = parsePort(flags["metrics-port"]);
+	if (metricsPort === null) return 1;
+	const metrics = metricsPort != undefined ? new Metrics() : null;
+	const configLoaders = run(paths, metrics);
+	if (metrics) startMetricsServer(metrics, configLoaders, metricsPort, flags["metrics-hostname"]);
+	return null;
+}
+
+/**
+ * Runs the configuration files and serves the generated ads.txt files over HTTP.
+ * @param {string[]} args The configuration files, optionally preceded by `--port`, `--hostname`,
+ * `--metrics-port` and `--metrics-hostname`.
+ */
+export function serveCommand(args) {
+	const flags = parse(args, {
+		string: ["port", "hostname", "metrics-port", "metrics-hostname"],
+	});
+	const paths = flags._.map(String);
+	if (paths.length == 0) {
+		console.log("Provide one or more paths to configuration files via the arguments.");
+		return false;
+	}
+	const port = parsePort(flags.port);
+	const metricsPort = parsePort(flags["metrics-port"]);
+	if (port === null || metricsPort === null) return false;
+	const metrics = metricsPort != undefined ? new Metrics() : null;
+	const configLoaders = run(paths, metrics);
+	const getUpdaters = () => configLoaders.flatMap((loader) => loader.updaters);
+	// When metrics are requested on the same port, they are served by the same listener as the ads.txt files.
+	const sharesListener = metricsPort == (port ?? DEFAULT_PORT);
+	const server = new AdsTxtServer(getUpdaters, {
+		metricsServer: metrics && sharesListener ? new MetricsServer(metrics, getUpdaters) : null,
+	});
+	server.listen({ port, hostname: flags.hostname });
+	if (metrics && !sharesListener) startMetricsServer(metrics, configLoaders, metricsPort, flags["metrics-hostname"]);
+	return true;
+}
+
+/**
+ * @param {Metrics} metrics
+ * @param {ConfigWatcher[]} configLoaders
+ * @param {number | undefined} port
+ * @param {string | undefined} hostname
+ */
+function startMetricsServer(metrics, configLoaders, port, hostname) {
+	const server = new MetricsServer(metrics, () => configLoaders.flatMap((loader) => loader.updaters));
+	server.listen({ port, hostname });
+}
+
+/**
+ * @param {string | undefined} value
+ * @returns {number | undefined | null} The port, `undefined` when no port was provided, or `null` when it is invalid.
+ */
+function parsePort(value) {
+	if (value == undefined) return undefined;
+	const port = Number(value);
+	if (!Number.isInteger(port) || port < 0 || port > 65535) {
+		console.log(`"${value}" is not a valid port.`);
+		return null;
+	}
+	return port;
+}
+
+/**
+ * Accepts new versions of ads.txt files that were kept back by shrink protection.
+ * @param {string[]} args The configuration file, followed by the destination paths of the ads.txt files.
+ * @returns {Promise<number>} The exit code.
+ */
+export async function confirm(args) {
+	const [configArg, ...destinationArgs] = args;
+	if (!configArg || destinationArgs.length == 0) {
+		console.log("Usage: adstxt_updater confirm <config> <destination> [<destination>...]");
+		return 1;
+	}
+	const absoluteConfigPath = path.resolve(configArg);
+	let exitCode = 0;
+	for (const arg of destinationArgs) {
+		const destinationPath = path.resolve(arg);
+		const config = await findDestinationConfig(absoluteConfigPath, destinationPath);
+		if (!config) {
+			console.error(`${absoluteConfigPath} doesn't contain a destination for ${destinationPath}.`);
+			exitCode = 1;
+		} else if (await confirmPendingAdsTxt(absoluteConfigPath, config)) {
+			console.log(`Accepted the new version of ${destinationPath}.`);
+		} else {
+			console.log(`There is no new version of ${destinationPath} waiting for a confirmation.`);
+			exitCode = 1;
+		}
+	}
+	return exitCode;
 }
 
 if (import.meta.main) {
@@ -23,7 +144,14 @@ if (import.meta.main) {
 			"No configuration files have been provided, provide one or more paths to configuration files via the arguments.",
 		);
 		Deno.exit();
+	} else if (Deno.args[0] == "confirm") {
+		Deno.exit(await confirm(Deno.args.slice(1)));
+	} else if (Deno.args[0] == "history") {
+		Deno.exit(await historyCommand(Deno.args.slice(1)));
+	} else if (Deno.args[0] == "serve") {
+		if (!serveCommand(Deno.args.slice(1))) Deno.exit(1);
 	} else {
-		run(Deno.args);
+		const exitCode = await runCommand(Deno.args);
+		if (exitCode != null) Deno.exit(exitCode);
 	}
 }
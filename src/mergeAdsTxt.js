@@ -0,0 +1,188 @@
+/**
+ * @typedef AdsTxtSourceRecords
+ * @property {string} url
+ * @property {import("./parseAdsTxt.js").AdsTxtRecord[]} records
+ */
+
+/**
+ * @typedef DedupeOptions
+ * @property {boolean} [annotate_sources] When true, an inline comment is added to the kept record
+ * which lists the other sources that contained the same record.
+ */
+
+/**
+ * Returns a string that is identical for data records which only differ in casing or whitespace.
+ * @param {import("./parseAdsTxt.js").AdsTxtDataRecord} record
+ */
+export function getDataRecordKey(record) {
+	return `${record.domain.toLowerCase()}, ${record.publisherId.trim()}, ${record.relationship.toUpperCase()}`;
+}
+
+/**
+ * Removes duplicate data records across all sources. Only the first occurrence of a record is kept.
+ * @param {AdsTxtSourceRecords[]} sources
+ * @param {DedupeOptions} options
+ * @returns {AdsTxtSourceRecords[]}
+ */
+export function dedupeAdsTxtSources(sources, {
+	annotate_sources = false,
+} = {}) {
+	/**
+	 * @typedef KeptRecord
+	 * @property {string} url The url of the source that contained the first occurrence.
+	 * @property {string[]} otherUrls
+	 */
+	/** @type {Map<string, KeptRecord>} */
+	const keptRecords = new Map();
+
+	const dedupedSources = sources.map((source) => {
+		const records = source.records.filter((record) => {
+			if (record.type != "data") return true;
+			const key = getDataRecordKey(record);
+			const kept = keptRecords.get(key);
+			if (!kept) {
+				keptRecords.set(key, { url: source.url, otherUrls: [] });
+				return true;
+			}
+			if (kept.url != source.url && !kept.otherUrls.includes(source.url)) {
+				kept.otherUrls.push(source.url);
+			}
+			return false;
+		});
+		return { url: source.url, records };
+	});
+
+	if (!annotate_sources) return dedupedSources;
+
+	return dedupedSources.map((source) => {
+		const records = source.records.map((record) => {
+			if (record.type != "data") return record;
+			const kept = keptRecords.get(getDataRecordKey(record));
+			if (!kept || kept.otherUrls.length == 0) return record;
+			let comment = `Also listed in ${kept.otherUrls.join(", ")}`;
+			if (record.comment) comment = `${record.comment} - ${comment}`;
+			return { ...record, comment, raw: undefined };
+		});
+		return { url: source.url, records };
+	});
+}
+
+/**
+ * - `prefer_direct` only keeps DIRECT declarations, or the first declaration when there are none.
+ * - `prefer_first` only keeps declarations that match the first declaration.
+ * - `keep_both` keeps all declarations.
+ * @typedef {"prefer_direct" | "prefer_first" | "keep_both"} ConflictResolution
+ */
+
+/**
+ * @typedef AdsTxtConflictEntry
+ * @property {string} url The source that contained the declaration.
+ * @property {import("./parseAdsTxt.js").AdsTxtDataRecord} record
+ * @property {boolean} removed Whether the declaration was removed as a result of resolving the conflict.
+ */
+
+/**
+ * @typedef AdsTxtConflict
+ * @property {string} domain
+ * @property {string} publisherId
+ * @property {AdsTxtConflictEntry[]} entries
+ */
+
+/**
+ * Finds data records with the same domain and account ID that have a different relationship
+ * or a different certification authority ID, and removes declarations according to the resolution.
+ * @param {AdsTxtSourceRecords[]} sources
+ * @param {ConflictResolution} [resolution]
+ */
+export function resolveAdsTxtConflicts(sources, resolution = "keep_both") {
+	/**
+	 * @typedef DeclarationEntry
+	 * @property {string} url
+	 * @property {import("./parseAdsTxt.js").AdsTxtDataRecord} record
+	 */
+	/** @type {Map<string, DeclarationEntry[]>} */
+	const declarations = new Map();
+	for (const source of sources) {
+		for (const record of source.records) {
+			if (record.type != "data") continue;
+			const key = `${record.domain.toLowerCase()}, ${record.publisherId.trim()}`;
+			let entries = declarations.get(key);
+			if (!entries) {
+				entries = [];
+				declarations.set(key, entries);
+			}
+			entries.push({ url: source.url, record });
+		}
+	}
+
+	/** @type {AdsTxtConflict[]} */
+	const conflicts = [];
+	/** @type {Set<import("./parseAdsTxt.js").AdsTxtRecord>} */
+	const removedRecords = new Set();
+	for (const entries of declarations.values()) {
+		const relationships = new Set();
+		const certificationAuthorityIds = new Set();
+		for (const entry of entries) {
+			const relationship = entry.record.relationship.toUpperCase();
+			// Invalid relationships are reported during validation, so we don't consider them a conflict.
+			if (relationship == "DIRECT" || relationship == "RESELLER") {
+				relationships.add(relationship);
+			}
+			if (entry.record.certificationAuthorityId) {
+				certificationAuthorityIds.add(entry.record.certificationAuthorityId.toLowerCase());
+			}
+		}
+		if (relationships.size <= 1 && certificationAuthorityIds.size <= 1) continue;
+
+		let preferred = entries[0];
+		if (resolution == "prefer_direct") {
+			preferred = entries.find((entry) => entry.record.relationship.toUpperCase() == "DIRECT") || preferred;
+		}
+		if (resolution != "keep_both") {
+			for (const entry of entries) {
+				if (!isCompatibleDeclaration(preferred.record, entry.record)) {
+					removedRecords.add(entry.record);
+				}
+			}
+		}
+
+		const { domain, publisherId } = entries[0].record;
+		conflicts.push({
+			domain,
+			publisherId,
+			entries: entries.map(({ url, record }) => ({ url, record, removed: removedRecords.has(record) })),
+		});
+	}
+
+	/** @type {AdsTxtSourceRecords[]} */
+	const resolvedSources = sources.map((source) => ({
+		url: source.url,
+		records: source.records.filter((record) => !removedRecords.has(record)),
+	}));
+	return { sources: resolvedSources, conflicts };
+}
+
+/**
+ * @param {import("./parseAdsTxt.js").AdsTxtDataRecord} a
+ * @param {import("./parseAdsTxt.js").AdsTxtDataRecord} b
+ */
+function isCompatibleDeclaration(a, b) {
+	if (a.relationship.toUpperCase() != b.relationship.toUpperCase()) return false;
+	if (!a.certificationAuthorityId || !b.certificationAuthorityId) return true;
+	return a.certificationAuthorityId.toLowerCase() == b.certificationAuthorityId.toLowerCase();
+}
+
+/**
+ * Formats a conflict as a single line, for use in logs and comments.
+ * @param {AdsTxtConflict} conflict
+ */
+export function formatAdsTxtConflict(conflict) {
+	const declarations = conflict.entries.map(({ url, record, removed }) => {
+		let declaration = record.relationship;
+		if (record.certificationAuthorityId) declaration += `, ${record.certificationAuthorityId}`;
+		declaration += ` in ${url}`;
+		if (removed) declaration += " (removed)";
+		return declaration;
+	});
+	return `${conflict.domain}, ${conflict.publisherId}: ${declarations.join(", ")}`;
+}
@@ -0,0 +1,198 @@
+/**
+ * @typedef AdsTxtDataRecord
+ * @property {"data"} type
+ * @property {string} domain The domain name of the advertising system.
+ * @property {string} publisherId The publisher's account ID within the advertising system.
+ * @property {string} relationship Either DIRECT or RESELLER, but may contain other values when the line is invalid.
+ * @property {string} [certificationAuthorityId] The optional ID of the certification authority.
+ * @property {string} [extension] Extension data that was placed after a `;` at the end of the record.
+ * @property {string} [comment] Inline comment that was placed after the record.
+ * @property {number} [lineNumber] The line number at which the record was found, starting at 1.
+ * @property {string} [raw] The original line, when set, the record is serialized using this exact string.
+ */
+
+/**
+ * @typedef AdsTxtVariableRecord
+ * @property {"variable"} type
+ * @property {string} key Such as OWNERDOMAIN, MANAGERDOMAIN, CONTACT, SUBDOMAIN or INVENTORYPARTNERDOMAIN.
+ * @property {string} value
+ * @property {string} [comment] Inline comment that was placed after the variable.
+ * @property {number} [lineNumber]
+ * @property {string} [raw]
+ */
+
+/**
+ * @typedef AdsTxtCommentRecord
+ * @property {"comment"} type
+ * @property {string} comment The text of the comment, without the leading `#`.
+ * @property {boolean} [commentedOutInvalid] Set when the comment contains an invalid line that was commented out.
+ * @property {number} [lineNumber]
+ * @property {string} [raw]
+ */
+
+/**
+ * @typedef AdsTxtEmptyRecord
+ * @property {"empty"} type
+ * @property {number} [lineNumber]
+ * @property {string} [raw]
+ */
+
+/**
+ * @typedef AdsTxtInvalidRecord
+ * @property {"invalid"} type
+ * @property {string} reason Explains why the line couldn't be parsed.
+ * @property {number} [lineNumber]
+ * @property {string} raw
+ */
+
+/** @typedef {AdsTxtDataRecord | AdsTxtVariableRecord | AdsTxtCommentRecord | AdsTxtEmptyRecord | AdsTxtInvalidRecord} AdsTxtRecord */
+
+/**
+ * Parses adstxt content into a list of records, one for every line.
+ * Parsing is lenient, lines are only marked as invalid when they can't be interpreted at all.
+ * Every record keeps a reference to its original line, so serializing the result
+ * using {@linkcode serializeAdsTxt} results in the exact same content.
+ * @param {string} content
+ * @returns {AdsTxtRecord[]}
+ */
+export function parseAdsTxt(content) {
+	return content.split("\n").map((line, i) => parseAdsTxtLine(line, i + 1));
+}
+
+/**
+ * @param {string} line
+ * @param {number} [lineNumber]
+ * @returns {AdsTxtRecord}
+ */
+export function parseAdsTxtLine(line, lineNumber) {
+	const trimmed = line.trim();
+	if (trimmed == "") {
+		return { type: "empty", lineNumber, raw: line };
+	}
+	if (trimmed.startsWith("#")) {
+		return { type: "comment", comment: trimmed.slice(1).trim(), lineNumber, raw: line };
+	}
+
+	let body = trimmed;
+	/** @type {string | undefined} */
+	let comment;
+	const commentIndex = body.indexOf("#");
+	if (commentIndex >= 0) {
+		comment = body.slice(commentIndex + 1).trim();
+		body = body.slice(0, commentIndex).trim();
+	}
+
+	const variableMatch = body.match(/^(?<key>[^\s=,#]+)\s*=(?<value>.*)$/);
+	if (variableMatch && variableMatch.groups) {
+		/** @type {AdsTxtVariableRecord} */
+		const record = {
+			type: "variable",
+			key: variableMatch.groups.key,
+			value: variableMatch.groups.value.trim(),
+			lineNumber,
+			raw: line,
+		};
+		if (comment != undefined) record.comment = comment;
+		return record;
+	}
+
+	/** @type {string | undefined} */
+	let extension;
+	const extensionIndex = body.indexOf(";");
+	if (extensionIndex >= 0) {
+		extension = body.slice(extensionIndex + 1).trim();
+		body = body.slice(0, extensionIndex);
+	}
+
+	const fields = body.split(",").map((field) => field.trim());
+	if (fields.length < 3) {
+		return {
+			type: "invalid",
+			reason: `Expected at least 3 comma separated fields but found ${fields.length}.`,
+			lineNumber,
+			raw: line,
+		};
+	}
+	if (fields.length > 4) {
+		return {
+			type: "invalid",
+			reason: `Expected at most 4 comma separated fields but found ${fields.length}.`,
+			lineNumber,
+			raw: line,
+		};
+	}
+
+	const [domain, publisherId, relationship, certificationAuthorityId] = fields;
+	/** @type {AdsTxtDataRecord} */
+	const record = {
+		type: "data",
+		domain,
+		publisherId,
+		relationship,
+		lineNumber,
+		raw: line,
+	};
+	if (certificationAuthorityId) record.certificationAuthorityId = certificationAuthorityId;
+	if (extension != undefined) record.extension = extension;
+	if (comment != undefined) record.comment = comment;
+	return record;
+}
+
+/**
+ * Turns a list of records back into adstxt content.
+ * Records that still contain their original line are written as is,
+ * other records are formatted according to the spec.
+ * @param {AdsTxtRecord[]} records
+ */
+export function serializeAdsTxt(records) {
+	return records.map((record) => serializeAdsTxtRecord(record)).join("\n");
+}
+
+/**
+ * @param {AdsTxtRecord} record
+ * @returns {string}
+ */
+export function serializeAdsTxtRecord(record) {
+	if (record.raw != undefined) return record.raw;
+	if (record.type == "empty") {
+		return "";
+	} else if (record.type == "comment") {
+		return record.comment ? `# ${record.comment}` : "#";
+	} else if (record.type == "variable") {
+		return `${record.key}=${record.value}` + serializeInlineComment(record.comment);
+	} else if (record.type == "data") {
+		let line = `${record.domain}, ${record.publisherId}, ${record.relationship}`;
+		if (record.certificationAuthorityId) {
+			line += `, ${record.certificationAuthorityId}`;
+		}
+		if (record.extension != undefined) {
+			line += `;${record.extension}`;
+		}
+		return line + serializeInlineComment(record.comment);
+	}
+	throw new Error("Assertion failed, unknown record type");
+}
+
+/**
+ * @param {string | undefined} comment
+ */
+function serializeInlineComment(comment) {
+	if (comment == undefined) return "";
+	return ` # ${comment}`;
+}
+
+/**
+ * Creates a comment record without an original line, useful for adding comments to generated content.
+ * @param {string} comment
+ * @returns {AdsTxtCommentRecord}
+ */
+export function createComment(comment) {
+	return { type: "comment", comment };
+}
+
+/**
+ * @returns {AdsTxtEmptyRecord}
+ */
+export function createEmptyLine() {
+	return { type: "empty" };
+}
@@ -0,0 +1,22 @@
+/**
+ * Parses a duration such as `30s`, `5m`, `2h` or `1d` and returns the amount of milliseconds.
+ * @param {string} durationStr
+ * @returns {number?} The duration in milliseconds, or `null` when the string is not a valid duration.
+ */
+export function parseDuration(durationStr) {
+	const match = durationStr.trim().match(/^(?<amount>\d+)(?<unit>[smhd])$/);
+	if (!match || !match.groups) return null;
+
+	let amount = parseInt(match.groups.amount, 10);
+	if (match.groups.unit == "s") {
+		amount *= 1000;
+	} else if (match.groups.unit == "m") {
+		amount *= 60 * 1000;
+	} else if (match.groups.unit == "h") {
+		amount *= 60 * 60 * 1000;
+	} else if (match.groups.unit == "d") {
+		amount *= 24 * 60 * 60 * 1000;
+	}
+	if (!isFinite(amount)) return null;
+	return amount;
+}
@@ -0,0 +1,57 @@
+import * as path from "$std/path/mod.ts";
+import { getDestinationWriteOptions, writeTextFileAtomic } from "./writeFileAtomic.js";
+
+/**
+ * Returns the path where a new version of an ads.txt is stored while it is waiting for a manual confirmation.
+ * Pending versions are stored in the `pending_directory` rather than next to the destination,
+ * so that they aren't served by the web server.
+ * @param {string} absoluteConfigPath
+ * @param {import("./AdsTxtUpdater.js").AdsTxtConfig} config
+ */
+export function getPendingAdsTxtPath(absoluteConfigPath, config) {
+	const configDirectory = path.dirname(absoluteConfigPath);
+	const options = typeof config.shrink_protection == "object" ? config.shrink_protection : {};
+	const pendingDirectory = path.resolve(configDirectory, options.pending_directory ?? ".");
+	const absoluteDestinationPath = path.resolve(configDirectory, config.destination);
+	return path.join(pendingDirectory, `${encodeURIComponent(absoluteDestinationPath)}.pending`);
+}
+
+/**
+ * Replaces the ads.txt with the version that is waiting for a manual confirmation.
+ * When adstxt_updater is running, it will notice that the destination has changed
+ * and since the new content is up to date, the file is left as is.
+ * @param {string} absoluteConfigPath
+ * @param {import("./AdsTxtUpdater.js").AdsTxtConfig} config
+ * @returns {Promise<boolean>} `false` when there was no version waiting for a confirmation.
+ */
+export async function confirmPendingAdsTxt(absoluteConfigPath, config) {
+	const pendingPath = getPendingAdsTxtPath(absoluteConfigPath, config);
+	let content;
+	try {
+		content = await Deno.readTextFile(pendingPath);
+	} catch (e) {
+		if (e instanceof Deno.errors.NotFound) return false;
+		throw e;
+	}
+	const absoluteDestinationPath = path.resolve(path.dirname(absoluteConfigPath), config.destination);
+	// The pending directory may be on a different file system, so the file is copied rather than renamed.
+	await writeTextFileAtomic(
+		absoluteDestinationPath,
+		content,
+		await getDestinationWriteOptions(config, absoluteDestinationPath),
+	);
+	await Deno.remove(pendingPath);
+	return true;
+}
+
+/**
+ * Removes the version that is waiting for a manual confirmation, if there is one.
+ * @param {string} pendingPath
+ */
+export async function removePendingAdsTxt(pendingPath) {
+	try {
+		await Deno.remove(pendingPath);
+	} catch (e) {
+		if (!(e instanceof Deno.errors.NotFound)) throw e;
+	}
+}
@@ -0,0 +1,46 @@
+import * as path from "$std/path/mod.ts";
+import { AdsTxtCache } from "./AdsTxtCache.js";
+import { AdsTxtUpdater } from "./AdsTxtUpdater.js";
+import { loadConfig } from "./loadConfig.js";
+import { logger } from "./logger.js";
+
+/** Every destination was updated and all sources were included. */
+export const EXIT_SUCCESS = 0;
+/** A configuration couldn't be loaded, or a destination couldn't be updated or is missing some of its sources. */
+export const EXIT_FAILED = 1;
+/** Every destination was updated, but some sources failed and their cached content was used instead. */
+export const EXIT_STALE = 2;
+
+/**
+ * Updates every destination in the configuration files exactly once, without watching for changes.
+ * @param {string[]} paths The paths of the configuration files.
+ * @param {AdsTxtCache} adsTxtCache
+ * @returns {Promise<number>} The exit code.
+ */
+export async function runOnce(paths, adsTxtCache = new AdsTxtCache()) {
+	/** @type {(import("./AdsTxtUpdater.js").UpdateResult | null)[]} */
+	const results = [];
+	/** @type {AdsTxtUpdater[]} */
+	const updaters = [];
+	for (const arg of paths) {
+		const absoluteConfigPath = path.resolve(arg);
+		const { configs, error } = await loadConfig(absoluteConfigPath);
+		if (error) {
+			logger.error(`${error.message}\n${error.details}`);
+			results.push("failed");
+			continue;
+		}
+		for (const config of configs) {
+			updaters.push(new AdsTxtUpdater(absoluteConfigPath, config, adsTxtCache, { once: true }));
+		}
+	}
+
+	for (const updater of updaters) {
+		await updater.destructor();
+		results.push(updater.lastUpdateResult);
+	}
+
+	if (results.some((result) => result != "success" && result != "stale")) return EXIT_FAILED;
+	if (results.includes("stale")) return EXIT_STALE;
+	return EXIT_SUCCESS;
+}
@@ -0,0 +1,76 @@
+/**
+ * - `sources` keeps a section for every source, but sorts the records inside each section.
+ * - `domain` combines all sources into a single section, sorted by ad system domain and account ID.
+ * - `relationship` combines all sources and groups records by their relationship, sorted inside every group.
+ * @typedef {"sources" | "domain" | "relationship"} SortMode
+ */
+
+const collator = new Intl.Collator("en", { numeric: true });
+
+/**
+ * Compares data records by ad system domain, then by account ID, relationship and certification authority ID.
+ * Account IDs that contain numbers are compared numerically, so that `2` comes before `10`.
+ * @param {import("./parseAdsTxt.js").AdsTxtDataRecord} a
+ * @param {import("./parseAdsTxt.js").AdsTxtDataRecord} b
+ */
+export function compareDataRecords(a, b) {
+	return collator.compare(a.domain.trim().toLowerCase(), b.domain.trim().toLowerCase()) ||
+		collator.compare(a.publisherId.trim(), b.publisherId.trim()) ||
+		collator.compare(a.relationship.trim().toUpperCase(), b.relationship.trim().toUpperCase()) ||
+		collator.compare(a.certificationAuthorityId || "", b.certificationAuthorityId || "");
+}
+
+/**
+ * Sorts records so that the result doesn't depend on the order in which they were listed.
+ * Variables are placed first in their original order, followed by the sorted data records.
+ * Invalid lines and lines that were commented out because they are invalid are placed last.
+ * Other comments and empty lines are removed since they are unlikely to make sense once the records around them have moved.
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord[]} records
+ * @returns {import("./parseAdsTxt.js").AdsTxtRecord[]}
+ */
+export function sortAdsTxtRecords(records) {
+	/** @type {import("./parseAdsTxt.js").AdsTxtRecord[]} */
+	const variables = [];
+	/** @type {import("./parseAdsTxt.js").AdsTxtDataRecord[]} */
+	const dataRecords = [];
+	/** @type {import("./parseAdsTxt.js").AdsTxtRecord[]} */
+	const invalid = [];
+	for (const record of records) {
+		if (record.type == "variable") {
+			variables.push(record);
+		} else if (record.type == "data") {
+			dataRecords.push(record);
+		} else if (record.type == "invalid" || (record.type == "comment" && record.commentedOutInvalid)) {
+			invalid.push(record);
+		}
+	}
+	dataRecords.sort(compareDataRecords);
+	return [...variables, ...dataRecords, ...invalid];
+}
+
+/**
+ * Splits sorted records into groups by their relationship, DIRECT records come first, followed by RESELLER records.
+ * Records with any other relationship are placed in groups after that, and records that are not data records
+ * are placed in a group with an empty string as key, which comes before all others.
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord[]} records
+ */
+export function groupAdsTxtRecordsByRelationship(records) {
+	/** @type {Map<string, import("./parseAdsTxt.js").AdsTxtRecord[]>} */
+	const groups = new Map();
+	for (const record of sortAdsTxtRecords(records)) {
+		const key = record.type == "data" ? record.relationship.trim().toUpperCase() : "";
+		let group = groups.get(key);
+		if (!group) {
+			group = [];
+			groups.set(key, group);
+		}
+		group.push(record);
+	}
+	const order = ["", "DIRECT", "RESELLER"];
+	const sortedKeys = [...groups.keys()].sort((a, b) => {
+		const indexA = order.includes(a) ? order.indexOf(a) : order.length;
+		const indexB = order.includes(b) ? order.indexOf(b) : order.length;
+		return indexA - indexB || collator.compare(a, b);
+	});
+	return new Map(sortedKeys.map((key) => [key, groups.get(key) || []]));
+}
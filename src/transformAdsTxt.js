@@ -1,37 +1,249 @@
+import { parseAdsTxtLine, serializeAdsTxtRecord } from "./parseAdsTxt.js";
+
+/**
+ * @typedef RewriteRule
+ * @property {string} pattern A regular expression, every match on a line is replaced.
+ * @property {string} replacement The replacement string, may refer to groups in the pattern using `$1`.
+ * @property {boolean} [ignore_case]
+ * @property {"data" | "comments"} [apply_to] Only apply the rule to data records or comments.
+ * When not set, the rule is applied to every line.
+ */
+
 /**
  * @typedef TransformAdsTxtOptions
+ * @property {boolean} [normalize] Reformats every line in a consistent way, this is applied before any other transform.
+ * @property {RewriteRule[]} [rewrite] Rules that rewrite lines, applied in order after normalizing.
  * @property {boolean | string[]} [strip_variables]
+ * @property {string[]} [include_domains] Only keep data records with one of these ad system domains.
+ * Patterns such as `*.example.com` match all subdomains of `example.com`.
+ * @property {string[]} [exclude_domains] Remove data records with one of these ad system domains.
+ * Patterns such as `*.example.com` match all subdomains of `example.com`.
+ * @property {string[]} [include_relationships] Only keep data records with one of these relationships.
+ * @property {string[]} [exclude_relationships] Remove data records with one of these relationships.
+ * @property {(string | number)[]} [include_account_ids] Only keep data records with one of these publisher account IDs.
+ * @property {(string | number)[]} [exclude_account_ids] Remove data records with one of these publisher account IDs.
+ * @property {string[]} [include_certification_authority_ids] Only keep data records with one of these
+ * certification authority IDs.
+ * @property {string[]} [exclude_certification_authority_ids] Remove data records with one of these
+ * certification authority IDs.
+ */
+
+/**
+ * @typedef {"include_domains" | "exclude_domains"
+ * | "include_relationships" | "exclude_relationships"
+ * | "include_account_ids" | "exclude_account_ids"
+ * | "include_certification_authority_ids" | "exclude_certification_authority_ids"} RecordFilterOption
+ */
+
+/**
+ * @typedef RecordFilter
+ * @property {RecordFilterOption} option
+ * @property {boolean} keepMatches When true, only matching records are kept, otherwise matching records are removed.
+ * @property {(record: import("./parseAdsTxt.js").AdsTxtDataRecord, value: string) => boolean} matches
  */
 
+/** @type {RecordFilter[]} */
+const RECORD_FILTERS = [
+	{
+		option: "include_domains",
+		keepMatches: true,
+		matches: (record, pattern) => matchesDomainPattern(record.domain, pattern),
+	},
+	{
+		option: "exclude_domains",
+		keepMatches: false,
+		matches: (record, pattern) => matchesDomainPattern(record.domain, pattern),
+	},
+	{
+		option: "include_relationships",
+		keepMatches: true,
+		matches: (record, relationship) => matchesRelationship(record, relationship),
+	},
+	{
+		option: "exclude_relationships",
+		keepMatches: false,
+		matches: (record, relationship) => matchesRelationship(record, relationship),
+	},
+	{
+		option: "include_account_ids",
+		keepMatches: true,
+		matches: (record, accountId) => record.publisherId.trim() == accountId.trim(),
+	},
+	{
+		option: "exclude_account_ids",
+		keepMatches: false,
+		matches: (record, accountId) => record.publisherId.trim() == accountId.trim(),
+	},
+	{
+		option: "include_certification_authority_ids",
+		keepMatches: true,
+		matches: (record, id) => matchesCertificationAuthorityId(record, id),
+	},
+	{
+		option: "exclude_certification_authority_ids",
+		keepMatches: false,
+		matches: (record, id) => matchesCertificationAuthorityId(record, id),
+	},
+];
+
 /**
- * @param {string} content The adstxt to transform
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord[]} records The adstxt records to transform
  * @param {TransformAdsTxtOptions} options
+ * @param {Map<RecordFilterOption, number>} [removedCounts] When provided, the amount of lines that were removed
+ * by each filter is added to this map.
  */
-export function transformAdsTxt(content, {
-	strip_variables = false,
-} = {}) {
+export function transformAdsTxt(records, options = {}, removedCounts) {
+	const { normalize = false, rewrite, strip_variables = false } = options;
+	if (normalize) {
+		records = records.map((record) => normalizeRecord(record));
+	}
+	if (rewrite) {
+		records = rewriteLines(records, rewrite);
+	}
 	if (strip_variables) {
 		const removeVariables = Array.isArray(strip_variables) ? strip_variables : [];
-		content = stripVariables(content, removeVariables);
+		records = stripVariables(records, removeVariables);
+	}
+	for (const filter of RECORD_FILTERS) {
+		const values = options[filter.option];
+		if (!values) continue;
+		const previousLength = records.length;
+		records = filterRecords(records, values, filter);
+		if (removedCounts) {
+			const removed = previousLength - records.length;
+			removedCounts.set(filter.option, (removedCounts.get(filter.option) || 0) + removed);
+		}
+	}
+	return records;
+}
+
+/**
+ * Formats a record the same way regardless of how the original line was formatted.
+ * Line endings, byte order marks and whitespace are removed,
+ * ad system domains are converted to lowercase and internationalized domains are converted to punycode.
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord} record
+ * @returns {import("./parseAdsTxt.js").AdsTxtRecord}
+ */
+export function normalizeRecord(record) {
+	if (record.type == "invalid") {
+		return { ...record, raw: record.raw.replace(/^\uFEFF/, "").trim() };
+	} else if (record.type == "data") {
+		/** @type {import("./parseAdsTxt.js").AdsTxtDataRecord} */
+		const normalized = {
+			...record,
+			domain: normalizeDomain(record.domain),
+			publisherId: record.publisherId.trim(),
+			relationship: record.relationship.trim().toUpperCase(),
+			raw: undefined,
+		};
+		if (record.certificationAuthorityId) {
+			normalized.certificationAuthorityId = record.certificationAuthorityId.trim();
+		}
+		if (record.extension != undefined) normalized.extension = record.extension.trim();
+		return normalized;
+	} else if (record.type == "variable") {
+		return { ...record, key: record.key.trim().toUpperCase(), value: record.value.trim(), raw: undefined };
+	}
+	return { ...record, raw: undefined };
+}
+
+/**
+ * Converts a domain to lowercase, and converts internationalized domains to punycode.
+ * @param {string} domain
+ */
+function normalizeDomain(domain) {
+	domain = domain.replace(/^\uFEFF/, "").trim().toLowerCase();
+	const isAscii = [...domain].every((char) => char.charCodeAt(0) < 128);
+	if (isAscii) return domain;
+	try {
+		return new URL(`http://${domain}`).hostname;
+	} catch {
+		// Invalid domains are reported during validation, so we leave them as is.
+		return domain;
 	}
-	return content;
 }
 
 /**
- * Removes all or some variable declratations from adstxt content
- * @param {string} content The adstxt to transform
+ * Applies rewrite rules to the serialized lines of records, and parses the lines again when they have changed.
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord[]} records The adstxt records to transform
+ * @param {RewriteRule[]} rules
+ */
+function rewriteLines(records, rules) {
+	const compiledRules = rules.map((rule) => ({
+		regex: new RegExp(rule.pattern, rule.ignore_case ? "gi" : "g"),
+		replacement: rule.replacement,
+		applyTo: rule.apply_to,
+	}));
+	return records.map((record) => {
+		for (const rule of compiledRules) {
+			if (rule.applyTo == "data" && record.type != "data") continue;
+			if (rule.applyTo == "comments" && record.type != "comment") continue;
+			const line = serializeAdsTxtRecord(record);
+			const newLine = line.replace(rule.regex, rule.replacement);
+			if (newLine != line) {
+				record = parseAdsTxtLine(newLine, record.lineNumber);
+			}
+		}
+		return record;
+	});
+}
+
+/**
+ * Removes all or some variable declratations from adstxt records
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord[]} records The adstxt records to transform
  * @param {string[]} removeVariables The keys of the variables to remove, pass an empty array to remove all variables.
  */
-function stripVariables(content, removeVariables) {
-	const lines = content.split("\n");
-	const filteredLines = lines.filter((line) => {
-		if (line.startsWith("#")) return true;
-		const match = line.match(/^(?<key>\S+)\s?=/);
-		if (!match) return true;
+function stripVariables(records, removeVariables) {
+	return records.filter((record) => {
+		if (record.type != "variable") return true;
 		if (removeVariables.length == 0) return false;
-		if (!match.groups?.key) return true;
-		if (removeVariables.includes(match.groups.key)) return false;
+		if (removeVariables.includes(record.key)) return false;
 		return true;
 	});
-	return filteredLines.join("\n");
+}
+
+/**
+ * Checks whether a domain matches a pattern such as `example.com` or `*.example.com`.
+ * A wildcard pattern matches all subdomains, but not the domain itself.
+ * @param {string} domain
+ * @param {string} pattern
+ */
+export function matchesDomainPattern(domain, pattern) {
+	domain = domain.trim().toLowerCase();
+	pattern = pattern.trim().toLowerCase();
+	if (pattern.startsWith("*.")) {
+		return domain.endsWith(pattern.slice(1));
+	}
+	return domain == pattern;
+}
+
+/**
+ * @param {import("./parseAdsTxt.js").AdsTxtDataRecord} record
+ * @param {string} relationship
+ */
+function matchesRelationship(record, relationship) {
+	return record.relationship.trim().toUpperCase() == relationship.trim().toUpperCase();
+}
+
+/**
+ * @param {import("./parseAdsTxt.js").AdsTxtDataRecord} record
+ * @param {string} id
+ */
+function matchesCertificationAuthorityId(record, id) {
+	if (!record.certificationAuthorityId) return false;
+	return record.certificationAuthorityId.trim().toLowerCase() == id.trim().toLowerCase();
+}
+
+/**
+ * Keeps or removes data records that match one of the values of a filter.
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord[]} records The adstxt records to transform
+ * @param {(string | number)[]} values Numbers are allowed so that account IDs don't need to be quoted in the config.
+ * @param {RecordFilter} filter
+ */
+function filterRecords(records, values, filter) {
+	return records.filter((record) => {
+		if (record.type != "data") return true;
+		const matches = values.some((value) => filter.matches(record, String(value)));
+		return matches == filter.keepMatches;
+	});
 }
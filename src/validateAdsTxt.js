@@ -0,0 +1,103 @@
+import { createComment, serializeAdsTxtRecord } from "./parseAdsTxt.js";
+
+/**
+ * @typedef AdsTxtValidationProblem
+ * @property {import("./parseAdsTxt.js").AdsTxtRecord} record The record that failed validation.
+ * @property {string} reason
+ */
+
+/**
+ * Variables that are allowed by the IAB ads.txt 1.1 specification.
+ */
+export const KNOWN_VARIABLES = ["CONTACT", "SUBDOMAIN", "INVENTORYPARTNERDOMAIN", "OWNERDOMAIN", "MANAGERDOMAIN"];
+
+/**
+ * Variables for which the value is expected to be a domain name.
+ */
+const DOMAIN_VARIABLES = ["SUBDOMAIN", "INVENTORYPARTNERDOMAIN", "OWNERDOMAIN"];
+
+/**
+ * Validates records against the IAB ads.txt 1.1 specification.
+ * Comments and empty lines are always valid.
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord[]} records
+ */
+export function validateAdsTxt(records) {
+	/** @type {AdsTxtValidationProblem[]} */
+	const problems = [];
+	for (const record of records) {
+		const reason = validateAdsTxtRecord(record);
+		if (reason) {
+			problems.push({ record, reason });
+		}
+	}
+	return problems;
+}
+
+/**
+ * Returns the reason why a record is invalid, or `null` when the record is valid.
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord} record
+ * @returns {string?}
+ */
+export function validateAdsTxtRecord(record) {
+	if (record.type == "invalid") {
+		return record.reason;
+	} else if (record.type == "data") {
+		if (!isValidDomain(record.domain)) {
+			return `"${record.domain}" is not a valid domain.`;
+		}
+		if (!record.publisherId) {
+			return "The publisher account ID is empty.";
+		}
+		const relationship = record.relationship.toUpperCase();
+		if (relationship != "DIRECT" && relationship != "RESELLER") {
+			return `The relationship must be DIRECT or RESELLER, but found "${record.relationship}".`;
+		}
+	} else if (record.type == "variable") {
+		const key = record.key.toUpperCase();
+		if (!KNOWN_VARIABLES.includes(key)) {
+			return `"${record.key}" is not a known variable.`;
+		}
+		if (DOMAIN_VARIABLES.includes(key) && !isValidDomain(record.value)) {
+			return `"${record.value}" is not a valid domain.`;
+		}
+		if (key == "MANAGERDOMAIN") {
+			// MANAGERDOMAIN may contain an optional country code, e.g. `MANAGERDOMAIN=example.com,US`.
+			const [domain, countryCode] = record.value.split(",").map((part) => part.trim());
+			if (!isValidDomain(domain)) {
+				return `"${domain}" is not a valid domain.`;
+			}
+			if (countryCode != undefined && !/^[a-zA-Z]{2}$/.test(countryCode)) {
+				return `"${countryCode}" is not a valid country code.`;
+			}
+		}
+		if (key == "CONTACT" && !record.value) {
+			return "The CONTACT variable is empty.";
+		}
+	}
+	return null;
+}
+
+/**
+ * Comments out an invalid record and adds the reason why it is invalid.
+ * The comment is marked with `commentedOutInvalid` so that it can be told apart from other comments.
+ * @param {import("./parseAdsTxt.js").AdsTxtRecord} record
+ * @param {string} reason
+ * @returns {import("./parseAdsTxt.js").AdsTxtCommentRecord}
+ */
+export function commentOutInvalidRecord(record, reason) {
+	return {
+		...createComment(`${serializeAdsTxtRecord(record).trim()} # Invalid: ${reason}`),
+		commentedOutInvalid: true,
+	};
+}
+
+/**
+ * Checks whether a string is a syntactically valid domain name, such as `example.com`.
+ * @param {string} domain
+ */
+export function isValidDomain(domain) {
+	if (domain.length > 253) return false;
+	const labels = domain.split(".");
+	if (labels.length < 2) return false;
+	return labels.every((label) => /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/.test(label));
+}
@@ -0,0 +1,426 @@
+import { parseDuration } from "./parseDuration.js";
+import { parseFileMode } from "./writeFileAtomic.js";
+import { KNOWN_VARIABLES } from "./validateAdsTxt.js";
+import { WEBHOOK_EVENTS } from "./webhooks.js";
+
+/**
+ * Describes what a value in the configuration file should look like.
+ * @typedef ConfigSchema
+ * @property {"string" | "boolean" | "integer" | "duration" | "regex" | "file_mode" | "array" | "object"} [type]
+ * @property {string[]} [values] When set, strings must be one of these values.
+ * @property {ConfigSchema} [items] The schema of every item in an array.
+ * @property {Object<string, ConfigSchema>} [properties] The schema of every allowed key in an object.
+ * @property {ConfigSchema} [additionalProperties] The schema of keys that are not listed in `properties`,
+ * when not set, these keys are not allowed.
+ * @property {string[]} [required] Keys that must be present in an object.
+ * @property {string[]} [exactlyOneOf] Exactly one of these keys must be present in an object.
+ * @property {ConfigSchema[]} [anyOf] The value must match one of these schemas.
+ */
+
+/**
+ * @typedef ConfigProblem
+ * @property {(string | number)[]} path The keys and indices leading to the invalid value.
+ * @property {string} message
+ * @property {number?} lineNumber The line in the yaml file where the problem was found, if it could be determined.
+ */
+
+/** @type {ConfigSchema} */
+const durationSchema = { type: "duration" };
+
+/** @type {Object<string, ConfigSchema>} */
+const fetchSettingsProperties = {
+	cache_duration: durationSchema,
+	max_stale: durationSchema,
+	fetch_timeout: durationSchema,
+	retries: { type: "integer" },
+	retry_delay: durationSchema,
+};
+
+/** @type {ConfigSchema} */
+const transformSchema = {
+	type: "object",
+	properties: {
+		normalize: { type: "boolean" },
+		rewrite: {
+			type: "array",
+			items: {
+				type: "object",
+				required: ["pattern", "replacement"],
+				properties: {
+					pattern: { type: "regex" },
+					replacement: { type: "string" },
+					ignore_case: { type: "boolean" },
+					apply_to: { type: "string", values: ["data", "comments"] },
+				},
+			},
+		},
+		strip_variables: {
+			anyOf: [
+				{ type: "boolean" },
+				{ type: "array", items: { type: "string" } },
+			],
+		},
+		include_domains: { type: "array", items: { type: "string" } },
+		exclude_domains: { type: "array", items: { type: "string" } },
+		include_relationships: { type: "array", items: { type: "string" } },
+		exclude_relationships: { type: "array", items: { type: "string" } },
+		include_account_ids: { type: "array", items: { anyOf: [{ type: "string" }, { type: "integer" }] } },
+		exclude_account_ids: { type: "array", items: { anyOf: [{ type: "string" }, { type: "integer" }] } },
+		include_certification_authority_ids: { type: "array", items: { type: "string" } },
+		exclude_certification_authority_ids: { type: "array", items: { type: "string" } },
+	},
+};
+
+/** @type {ConfigSchema} */
+const sourceSchema = {
+	anyOf: [
+		{ type: "string" },
+		{
+			type: "object",
+			exactlyOneOf: ["source", "file", "records"],
+			properties: {
+				source: { type: "string" },
+				file: { type: "string" },
+				records: { type: "array", items: { type: "string" } },
+				transform: transformSchema,
+				invalid_lines: { type: "string", values: ["drop", "comment", "reject"] },
+				required: { type: "boolean" },
+				...fetchSettingsProperties,
+			},
+		},
+	],
+};
+
+/** @type {ConfigSchema} */
+const variableValueSchema = {
+	anyOf: [
+		{ type: "string" },
+		{ type: "array", items: { type: "string" } },
+	],
+};
+
+/** @type {ConfigSchema} */
+const variablesSchema = {
+	type: "object",
+	properties: Object.fromEntries(KNOWN_VARIABLES.map((key) => [key, variableValueSchema])),
+};
+
+/** @type {ConfigSchema} */
+const webhookSchema = {
+	type: "object",
+	required: ["url"],
+	properties: {
+		url: { type: "string" },
+		events: { type: "array", items: { type: "string", values: WEBHOOK_EVENTS } },
+		headers: { type: "object", additionalProperties: { type: "string" } },
+		retries: { type: "integer" },
+		retry_delay: durationSchema,
+	},
+};
+
+/** @type {ConfigSchema} */
+const destinationSchema = {
+	type: "object",
+	required: ["destination", "sources"],
+	properties: {
+		destination: { type: "string" },
+		sources: { type: "array", items: sourceSchema },
+		updateInterval: durationSchema,
+		cache_directory: { type: "string" },
+		dedupe: {
+			anyOf: [
+				{ type: "boolean" },
+				{
+					type: "object",
+					properties: {
+						annotate_sources: { type: "boolean" },
+					},
+				},
+			],
+		},
+		conflicts: { type: "string", values: ["prefer_direct", "prefer_first", "keep_both"] },
+		transform: transformSchema,
+		sort: { type: "string", values: ["sources", "domain", "relationship"] },
+		history: {
+			type: "object",
+			required: ["directory"],
+			properties: {
+				directory: { type: "string" },
+				versions: { type: "integer" },
+			},
+		},
+		changelog: { type: "string" },
+		webhooks: { type: "array", items: webhookSchema },
+		hosts: { type: "array", items: { type: "string" } },
+		write: { type: "boolean" },
+		file_mode: { type: "file_mode" },
+		file_owner: { anyOf: [{ type: "string" }, { type: "integer" }] },
+		file_group: { anyOf: [{ type: "string" }, { type: "integer" }] },
+		shrink_protection: {
+			anyOf: [
+				{ type: "boolean" },
+				{
+					type: "object",
+					properties: {
+						max_removed_percentage: { type: "integer" },
+						max_removed_records: { type: "integer" },
+						require_confirmation: { type: "boolean" },
+						pending_directory: { type: "string" },
+					},
+				},
+			],
+		},
+		variables: variablesSchema,
+		...fetchSettingsProperties,
+	},
+};
+
+/**
+ * Checks the parsed content of a configuration file and returns all problems that were found.
+ * The configuration may either contain a single destination or a list of destinations.
+ * @param {unknown} config The parsed yaml content.
+ * @param {string} yamlContent The original yaml string, used for determining line numbers.
+ * @returns {ConfigProblem[]}
+ */
+export function validateConfig(config, yamlContent) {
+	/** @type {Omit<ConfigProblem, "lineNumber">[]} */
+	const problems = [];
+	if (Array.isArray(config)) {
+		if (config.length == 0) {
+			problems.push({ path: [], message: "The configuration doesn't contain any destinations." });
+		}
+		config.forEach((destination, i) => {
+			validateValue(destination, destinationSchema, [i], problems);
+		});
+	} else {
+		validateValue(config, destinationSchema, [], problems);
+	}
+	return problems.map((problem) => ({
+		...problem,
+		lineNumber: findYamlLine(yamlContent, problem.path),
+	}));
+}
+
+/**
+ * @param {unknown} value
+ * @param {ConfigSchema} schema
+ * @param {(string | number)[]} path
+ * @param {Omit<ConfigProblem, "lineNumber">[]} problems
+ */
+function validateValue(value, schema, path, problems) {
+	if (schema.anyOf) {
+		const matchingSchema = schema.anyOf.find((s) => matchesType(value, s));
+		if (!matchingSchema) {
+			const expected = schema.anyOf.map((s) => describeSchema(s)).join(" or ");
+			problems.push({ path, message: `Expected ${expected}, but found ${describeValue(value)}.` });
+			return;
+		}
+		validateValue(value, matchingSchema, path, problems);
+		return;
+	}
+
+	if (!matchesType(value, schema)) {
+		problems.push({ path, message: `Expected ${describeSchema(schema)}, but found ${describeValue(value)}.` });
+		return;
+	}
+
+	if (schema.type == "string" && schema.values && !schema.values.includes(/** @type {string} */ (value))) {
+		const allowed = schema.values.map((v) => `"${v}"`).join(", ");
+		problems.push({ path, message: `Expected one of ${allowed}, but found "${value}".` });
+	} else if (schema.type == "duration" && parseDuration(String(value)) == null) {
+		problems.push({
+			path,
+			message: `"${value}" is not a valid duration, use a number followed by s, m, h or d, such as "30m".`,
+		});
+	} else if (schema.type == "file_mode" && parseFileMode(String(value)) == null) {
+		problems.push({ path, message: `"${value}" is not a valid file mode, use three octal digits such as "644".` });
+	} else if (schema.type == "regex" && !isValidRegex(/** @type {string} */ (value))) {
+		problems.push({ path, message: `"${value}" is not a valid regular expression.` });
+	} else if (schema.type == "integer" && /** @type {number} */ (value) < 0) {
+		problems.push({ path, message: `Expected a positive number, but found ${value}.` });
+	} else if (schema.type == "array" && schema.items) {
+		const items = /** @type {unknown[]} */ (value);
+		for (const [i, item] of items.entries()) {
+			validateValue(item, schema.items, [...path, i], problems);
+		}
+	} else if (schema.type == "object") {
+		const object = /** @type {Object<string, unknown>} */ (value);
+		for (const key of schema.required || []) {
+			if (object[key] == undefined) {
+				problems.push({ path, message: `The required key "${key}" is missing.` });
+			}
+		}
+		if (schema.exactlyOneOf) {
+			const presentKeys = schema.exactlyOneOf.filter((key) => object[key] != undefined);
+			if (presentKeys.length != 1) {
+				const keys = schema.exactlyOneOf.map((key) => `"${key}"`);
+				const keysStr = `${keys.slice(0, -1).join(", ")} or ${keys[keys.length - 1]}`;
+				const message = presentKeys.length == 0
+					? `One of ${keysStr} is required.`
+					: `Only one of ${keysStr} can be set.`;
+				problems.push({ path, message });
+			}
+		}
+		const properties = schema.properties || {};
+		for (const [key, propertyValue] of Object.entries(object)) {
+			const propertySchema = properties[key] || schema.additionalProperties;
+			if (!propertySchema) {
+				problems.push({ path: [...path, key], message: `Unknown key "${key}".` });
+			} else if (propertyValue != undefined) {
+				validateValue(propertyValue, propertySchema, [...path, key], problems);
+			}
+		}
+	}
+}
+
+/**
+ * Checks only the basic type of a value, without checking its contents.
+ * @param {unknown} value
+ * @param {ConfigSchema} schema
+ * @returns {boolean}
+ */
+function matchesType(value, schema) {
+	if (schema.anyOf) return schema.anyOf.some((s) => matchesType(value, s));
+	if (schema.type == "string" || schema.type == "duration" || schema.type == "regex" || schema.type == "file_mode") {
+		return typeof value == "string";
+	}
+	if (schema.type == "boolean") return typeof value == "boolean";
+	if (schema.type == "integer") return Number.isInteger(value);
+	if (schema.type == "array") return Array.isArray(value);
+	if (schema.type == "object") return typeof value == "object" && value != null && !Array.isArray(value);
+	return true;
+}
+
+/**
+ * @param {string} pattern
+ */
+function isValidRegex(pattern) {
+	try {
+		new RegExp(pattern);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * @param {ConfigSchema} schema
+ */
+function describeSchema(schema) {
+	if (schema.type == "string") return "a string";
+	if (schema.type == "duration") return "a duration";
+	if (schema.type == "regex") return "a regular expression";
+	if (schema.type == "file_mode") return "a file mode";
+	if (schema.type == "boolean") return "true or false";
+	if (schema.type == "integer") return "a whole number";
+	if (schema.type == "array") return "a list";
+	if (schema.type == "object") return "an object with keys";
+	return "a value";
+}
+
+/**
+ * @param {unknown} value
+ */
+function describeValue(value) {
+	if (value == null) return "nothing";
+	if (Array.isArray(value)) return "a list";
+	if (typeof value == "object") return "an object";
+	if (typeof value == "string") return `"${value}"`;
+	return String(value);
+}
+
+/**
+ * Formats a path such as `[0, "sources", 1, "transform"]` as `[0].sources[1].transform`.
+ * @param {(string | number)[]} path
+ */
+export function formatConfigPath(path) {
+	let str = "";
+	for (const segment of path) {
+		if (typeof segment == "number") {
+			str += `[${segment}]`;
+		} else {
+			str += str ? `.${segment}` : segment;
+		}
+	}
+	return str;
+}
+
+/**
+ * @typedef YamlToken
+ * @property {"item" | "key"} type
+ * @property {string} [key]
+ * @property {number} indent
+ * @property {number} lineNumber
+ */
+
+/**
+ * Finds the line in a yaml string where the value at the provided path is defined.
+ * The yaml parser doesn't expose line numbers, so this does a best effort attempt using indentation.
+ * This only supports block style mappings and sequences, which is what configuration files generally consist of.
+ * When the path can't be found, the line of the closest parent that could be found is returned.
+ * @param {string} yamlContent
+ * @param {(string | number)[]} path
+ * @returns {number?}
+ */
+export function findYamlLine(yamlContent, path) {
+	/** @type {YamlToken[]} */
+	const tokens = [];
+	yamlContent.split("\n").forEach((line, i) => {
+		let indent = line.length - line.trimStart().length;
+		let rest = line.trim();
+		if (rest == "" || rest.startsWith("#") || rest == "---") return;
+		while (true) {
+			const itemMatch = rest.match(/^-( +|$)/);
+			if (!itemMatch) break;
+			tokens.push({ type: "item", indent, lineNumber: i + 1 });
+			indent += itemMatch[0].length;
+			rest = rest.slice(itemMatch[0].length);
+		}
+		const keyMatch = rest.match(/^(?:"([^"]*)"|'([^']*)'|([^\s"'#][^:#]*?))\s*:(?:\s|$)/);
+		if (keyMatch) {
+			const key = keyMatch[1] ?? keyMatch[2] ?? keyMatch[3];
+			tokens.push({ type: "key", key, indent, lineNumber: i + 1 });
+		}
+	});
+
+	let start = 0;
+	let end = tokens.length;
+	/** @type {number?} */
+	let lineNumber = null;
+	for (const segment of path) {
+		const type = typeof segment == "number" ? "item" : "key";
+		let childIndent = Infinity;
+		for (let i = start; i < end; i++) {
+			if (tokens[i].type == type) childIndent = Math.min(childIndent, tokens[i].indent);
+		}
+
+		let itemIndex = 0;
+		let foundIndex = -1;
+		for (let i = start; i < end; i++) {
+			const token = tokens[i];
+			if (token.type != type || token.indent != childIndent) continue;
+			if (type == "item" ? itemIndex++ == segment : token.key == segment) {
+				foundIndex = i;
+				break;
+			}
+		}
+		if (foundIndex < 0) break;
+
+		const found = tokens[foundIndex];
+		lineNumber = found.lineNumber;
+		let newEnd = end;
+		for (let i = foundIndex + 1; i < end; i++) {
+			const token = tokens[i];
+			const isSibling = found.type == "item"
+				? token.indent <= found.indent
+				: token.indent < found.indent || (token.indent == found.indent && token.type == "key");
+			if (isSibling) {
+				newEnd = i;
+				break;
+			}
+		}
+		start = foundIndex + 1;
+		end = newEnd;
+	}
+	return lineNumber;
+}
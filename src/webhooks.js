@@ -0,0 +1,91 @@
+import { logger } from "./logger.js";
+import { parseDuration } from "./parseDuration.js";
+import { fetchWithRetries } from "./fetchWithRetries.js";
+
+/**
+ * - `destination_updated` a new version of the ads.txt was written.
+ * - `source_failed` one or more sources started failing or were rejected, and are not included.
+ * - `source_stale` one or more sources started failing, but their cached content is still included.
+ * - `shrink_protection_triggered` a new version was kept back by the shrink protection.
+ * - `config_reload_failed` the configuration was changed, but could not be loaded.
+ * @typedef {"destination_updated" | "source_failed" | "source_stale" | "shrink_protection_triggered" | "config_reload_failed"} WebhookEvent
+ */
+
+/** @type {WebhookEvent[]} */
+export const WEBHOOK_EVENTS = [
+	"destination_updated",
+	"source_failed",
+	"source_stale",
+	"shrink_protection_triggered",
+	"config_reload_failed",
+];
+
+/**
+ * @typedef WebhookConfig
+ * @property {string} url
+ * @property {WebhookEvent[]} [events] The events that are sent to this webhook, all events are sent by default.
+ * @property {Object<string, string>} [headers] Additional headers that are sent with every request.
+ * @property {number} [retries] How many times a failed request is retried. Defaults to 3.
+ * @property {string} [retry_delay] Delay before the first retry, such as `5s`. Every next retry waits twice as long.
+ */
+
+/**
+ * @typedef WebhookPayload
+ * @property {WebhookEvent} event
+ * @property {string} time The time of the event as ISO string.
+ * @property {string} destination The absolute path of the ads.txt.
+ * @property {import("./AdsTxtHistory.js").SourceMetadata[]} sources The sources that caused the event.
+ * @property {{added: number, removed: number, changed: number}} diff The amount of records that were changed
+ * by the update that caused the event.
+ * @property {string} [message] Additional details, such as why the configuration could not be loaded.
+ */
+
+const WEBHOOK_TIMEOUT_MS = 30_000;
+
+/**
+ * Sends the payload to all webhooks that are subscribed to its event.
+ * Failed requests are logged, this never throws.
+ * @param {WebhookConfig[]} webhooks
+ * @param {WebhookPayload} payload
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Aborts the requests, as well as any pending retries.
+ */
+export async function sendWebhooks(webhooks, payload, { signal } = {}) {
+	const promises = webhooks
+		.filter((webhook) => !webhook.events || webhook.events.includes(payload.event))
+		.map((webhook) => sendWebhook(webhook, payload, signal));
+	await Promise.all(promises);
+}
+
+/**
+ * Posts the payload and retries with exponential backoff when the request fails.
+ * @param {WebhookConfig} webhook
+ * @param {WebhookPayload} payload
+ * @param {AbortSignal} [signal]
+ */
+async function sendWebhook(webhook, payload, signal) {
+	const description = `send ${payload.event} to ${webhook.url}`;
+	try {
+		const response = await fetchWithRetries(webhook.url, {
+			method: "POST",
+			headers: {
+				"Content-Type": "application/json",
+				...webhook.headers,
+			},
+			body: JSON.stringify(payload),
+		}, {
+			description,
+			timeoutMs: WEBHOOK_TIMEOUT_MS,
+			retries: webhook.retries ?? 3,
+			retryDelayMs: parseDuration(webhook.retry_delay || "5s") ?? 5000,
+			signal,
+		});
+		if (!response) return;
+		await response.body?.cancel();
+		if (!response.ok) {
+			logger.warning(`Failed to ${description}, the server responded with status ${response.status}`);
+		}
+	} catch (e) {
+		logger.warning(`Failed to ${description}, ${e instanceof Error ? e.message : e}`);
+	}
+}
@@ -0,0 +1,128 @@
+import * as path from "$std/path/mod.ts";
+import { logger } from "./logger.js";
+
+/**
+ * @typedef WriteFileAtomicOptions
+ * @property {number} [mode] The permissions of the file, such as `0o644`.
+ * @property {number} [uid] The id of the user that should own the file.
+ * @property {number} [gid] The id of the group that should own the file.
+ */
+
+/**
+ * Writes a file by first writing to a temporary file in the same directory and then renaming it into place.
+ * This way other processes, such as a web server, never see a partially written file.
+ * Options that are not provided are copied from the existing file, so that permissions and ownership that
+ * were set by an administrator are kept. Failing to change these is logged, but the file is still written.
+ * @param {string} filePath
+ * @param {string} content
+ * @param {WriteFileAtomicOptions} options
+ */
+export async function writeTextFileAtomic(filePath, content, { mode, uid, gid } = {}) {
+	const tempPath = path.join(
+		path.dirname(filePath),
+		`.${path.basename(filePath)}.${crypto.randomUUID().slice(0, 8)}.tmp`,
+	);
+	try {
+		await Deno.writeTextFile(tempPath, content);
+		if (mode == undefined || uid == undefined || gid == undefined) {
+			const existing = await statIfExists(filePath);
+			if (existing) {
+				const temp = await Deno.stat(tempPath);
+				if (mode == undefined && existing.mode != null && existing.mode != temp.mode) {
+					mode = existing.mode & 0o7777;
+				}
+				if (uid == undefined && existing.uid != null && existing.uid != temp.uid) uid = existing.uid;
+				if (gid == undefined && existing.gid != null && existing.gid != temp.gid) gid = existing.gid;
+			}
+		}
+		if (mode != undefined) {
+			try {
+				await Deno.chmod(tempPath, mode);
+			} catch (e) {
+				logger.error(`Failed to change the permissions of ${filePath}: ${e}`);
+			}
+		}
+		if (uid != undefined || gid != undefined) {
+			try {
+				await Deno.chown(tempPath, uid ?? null, gid ?? null);
+			} catch (e) {
+				logger.error(`Failed to change the owner of ${filePath}: ${e}`);
+			}
+		}
+		await Deno.rename(tempPath, filePath);
+	} catch (e) {
+		try {
+			await Deno.remove(tempPath);
+		} catch {
+			// The temporary file might not have been created, in which case there's nothing to clean up.
+		}
+		throw e;
+	}
+}
+
+/**
+ * @param {string} filePath
+ */
+async function statIfExists(filePath) {
+	try {
+		return await Deno.stat(filePath);
+	} catch (e) {
+		if (e instanceof Deno.errors.NotFound) return null;
+		throw e;
+	}
+}
+
+/**
+ * Converts the `file_mode`, `file_owner` and `file_group` of a destination into options for
+ * {@linkcode writeTextFileAtomic}.
+ * @param {import("./AdsTxtUpdater.js").AdsTxtConfig} config
+ * @param {string} absoluteDestinationPath
+ * @returns {Promise<WriteFileAtomicOptions>}
+ */
+export async function getDestinationWriteOptions(config, absoluteDestinationPath) {
+	/** @type {WriteFileAtomicOptions} */
+	const options = {};
+	if (config.file_mode) {
+		options.mode = parseFileMode(config.file_mode) ?? undefined;
+	}
+	try {
+		if (config.file_owner != undefined) {
+			options.uid = await resolveOwnerId(config.file_owner, "/etc/passwd");
+		}
+		if (config.file_group != undefined) {
+			options.gid = await resolveOwnerId(config.file_group, "/etc/group");
+		}
+	} catch (e) {
+		// Writing a file with the wrong owner is still better than not writing it at all.
+		logger.error(`Failed to determine the owner of ${absoluteDestinationPath}: ${e}`);
+	}
+	return options;
+}
+
+/**
+ * Finds the numeric id of a user or group by its name.
+ * Numbers are returned as is, so that both names and ids can be used in the config.
+ * @param {string | number} nameOrId
+ * @param {"/etc/passwd" | "/etc/group"} databasePath The file that lists the users or groups.
+ */
+export async function resolveOwnerId(nameOrId, databasePath) {
+	if (typeof nameOrId == "number") return nameOrId;
+	if (/^\d+$/.test(nameOrId)) return parseInt(nameOrId, 10);
+	const content = await Deno.readTextFile(databasePath);
+	for (const line of content.split("\n")) {
+		const [name, , id] = line.split(":");
+		if (name == nameOrId && id != undefined) return parseInt(id, 10);
+	}
+	throw new Error(`"${nameOrId}" was not found in ${databasePath}.`);
+}
+
+/**
+ * Parses a file mode such as `"644"` or `"0644"`.
+ * @param {string} mode
+ * @returns {number?} The mode, or `null` when the string is not a valid mode.
+ */
+export function parseFileMode(mode) {
+	const match = mode.trim().match(/^0?([0-7]{3})$/);
+	if (!match) return null;
+	return parseInt(match[1], 8);
+}
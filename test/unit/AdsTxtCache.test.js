@@ -2,6 +2,20 @@ import { assertSpyCall, assertSpyCalls, returnsNext, stub } from "$std/testing/m
 import { FakeTime } from "$std/testing/time.ts";
 import { assertEquals, assertRejects } from "$std/testing/asserts.ts";
 import { AdsTxtCache } from "../../src/AdsTxtCache.js";
+import { stubFsCalls } from "./shared.js";
+
+/**
+ * Asserts the url and headers of a fetch call, ignoring other options such as the abort signal.
+ * @param {import("$std/testing/mock.ts").Stub<typeof globalThis, Parameters<typeof fetch>, ReturnType<typeof fetch>>} fetchSpy
+ * @param {number} callIndex
+ * @param {string} expectedUrl
+ * @param {Object<string, string>} expectedHeaders
+ */
+function assertFetchCall(fetchSpy, callIndex, expectedUrl, expectedHeaders) {
+	const call = fetchSpy.calls[callIndex];
+	assertEquals(call.args[0], expectedUrl);
+	assertEquals(call.args[1]?.headers, expectedHeaders);
+}
 
 Deno.test({
 	name: "Properly caches content",
@@ -30,9 +44,7 @@ Deno.test({
 				content: "content1",
 			});
 			assertSpyCalls(fetchSpy, 1);
-			assertSpyCall(fetchSpy, 0, {
-				args: ["https://example.com/ads.txt"],
-			});
+			assertFetchCall(fetchSpy, 0, "https://example.com/ads.txt", {});
 
 			time.tick(30_000);
 			const result2 = await cache.fetchAdsTxt("https://example.com/ads.txt", 60_000);
@@ -72,6 +84,75 @@ Deno.test({
 	},
 });
 
+Deno.test({
+	name: "Makes conditional requests using ETag and Last-Modified",
+	async fn() {
+		const fetchSpy = stub(
+			globalThis,
+			"fetch",
+			returnsNext([
+				Promise.resolve(
+					new Response("content1", {
+						headers: {
+							"ETag": '"abc"',
+							"Last-Modified": "Wed, 21 Oct 2015 07:28:00 GMT",
+						},
+					}),
+				),
+				Promise.resolve(
+					new Response(null, {
+						status: 304,
+						headers: {
+							"ETag": '"def"',
+						},
+					}),
+				),
+				Promise.resolve(new Response("content2")),
+			]),
+		);
+		const time = new FakeTime();
+
+		try {
+			const cache = new AdsTxtCache();
+			const result1 = await cache.fetchAdsTxt("https://example.com/ads.txt", 60_000);
+			assertEquals(result1, {
+				fresh: true,
+				content: "content1",
+			});
+
+			time.tick(70_000);
+			const result2 = await cache.fetchAdsTxt("https://example.com/ads.txt", 60_000);
+			assertEquals(result2, {
+				fresh: true,
+				content: "content1",
+			});
+			assertFetchCall(fetchSpy, 1, "https://example.com/ads.txt", {
+				"If-None-Match": '"abc"',
+				"If-Modified-Since": "Wed, 21 Oct 2015 07:28:00 GMT",
+			});
+
+			// The 304 response should count as a fresh result and reset the cache duration.
+			time.tick(30_000);
+			await cache.fetchAdsTxt("https://example.com/ads.txt", 60_000);
+			assertSpyCalls(fetchSpy, 2);
+
+			time.tick(40_000);
+			const result3 = await cache.fetchAdsTxt("https://example.com/ads.txt", 60_000);
+			assertEquals(result3, {
+				fresh: true,
+				content: "content2",
+			});
+			assertFetchCall(fetchSpy, 2, "https://example.com/ads.txt", {
+				"If-None-Match": '"def"',
+				"If-Modified-Since": "Wed, 21 Oct 2015 07:28:00 GMT",
+			});
+		} finally {
+			fetchSpy.restore();
+			time.restore();
+		}
+	},
+});
+
 Deno.test({
 	name: "Failing request from the start",
 	async fn() {
@@ -157,3 +238,274 @@ Deno.test({
 		}
 	},
 });
+
+Deno.test({
+	name: "Cached content is no longer used once it exceeds the maximum staleness",
+	async fn() {
+		const time = new FakeTime();
+		const fetchSpy = stub(
+			globalThis,
+			"fetch",
+			returnsNext([
+				Promise.resolve(new Response("content1")),
+				Promise.resolve(new Response("Not found", { status: 404 })),
+				Promise.resolve(new Response("Not found", { status: 404 })),
+			]),
+		);
+
+		try {
+			const cache = new AdsTxtCache();
+			const options = { maxStaleMs: 120_000 };
+			await cache.fetchAdsTxt("https://example.com/ads.txt", 60_000, options);
+
+			time.tick(90_000);
+			const result = await cache.fetchAdsTxt("https://example.com/ads.txt", 60_000, options);
+			assertEquals(result, {
+				fresh: false,
+				content: "content1",
+			});
+
+			time.tick(60_000);
+			await assertRejects(
+				async () => {
+					await cache.fetchAdsTxt("https://example.com/ads.txt", 60_000, options);
+				},
+				Error,
+				"has exceeded its maximum staleness",
+			);
+		} finally {
+			fetchSpy.restore();
+			time.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Retries failed requests with exponential backoff",
+	async fn() {
+		const fetchSpy = stub(
+			globalThis,
+			"fetch",
+			returnsNext([
+				Promise.resolve(new Response("Service unavailable", { status: 503 })),
+				new TypeError("A network error occurred"),
+				Promise.resolve(new Response("content1")),
+			]),
+		);
+		// Makes the jitter result in exactly 75% of the maximum delay
+		const randomSpy = stub(Math, "random", () => 0.5);
+		const time = new FakeTime();
+
+		try {
+			const cache = new AdsTxtCache();
+			const promise = cache.fetchAdsTxt("https://example.com/ads.txt", 60_000, {
+				retries: 2,
+				retryDelayMs: 1_000,
+			});
+
+			await time.tickAsync(0);
+			assertSpyCalls(fetchSpy, 1);
+
+			await time.tickAsync(749);
+			assertSpyCalls(fetchSpy, 1);
+			await time.tickAsync(1);
+			assertSpyCalls(fetchSpy, 2);
+
+			// The delay is doubled for the second retry
+			await time.tickAsync(1_499);
+			assertSpyCalls(fetchSpy, 2);
+			await time.tickAsync(1);
+			assertSpyCalls(fetchSpy, 3);
+
+			assertEquals(await promise, {
+				fresh: true,
+				content: "content1",
+			});
+		} finally {
+			fetchSpy.restore();
+			randomSpy.restore();
+			time.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Doesn't retry client errors",
+	async fn() {
+		const fetchSpy = stub(
+			globalThis,
+			"fetch",
+			returnsNext([
+				Promise.resolve(new Response("Not found", { status: 404 })),
+			]),
+		);
+
+		try {
+			const cache = new AdsTxtCache();
+			await assertRejects(async () => {
+				await cache.fetchAdsTxt("https://example.com/ads.txt", 60_000, {
+					retries: 3,
+				});
+			});
+			assertSpyCalls(fetchSpy, 1);
+		} finally {
+			fetchSpy.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Aborts requests that take too long",
+	async fn() {
+		const fetchSpy = stub(globalThis, "fetch", (_input, init) => {
+			return new Promise((_resolve, reject) => {
+				init?.signal?.addEventListener("abort", () => {
+					reject(new DOMException("The signal has been aborted", "AbortError"));
+				});
+			});
+		});
+		const time = new FakeTime();
+
+		try {
+			const cache = new AdsTxtCache();
+			const promise = cache.fetchAdsTxt("https://example.com/ads.txt", 60_000, {
+				timeoutMs: 5_000,
+			});
+			const rejectsPromise = assertRejects(async () => {
+				await promise;
+			});
+			await time.tickAsync(5_000);
+			await rejectsPromise;
+			assertSpyCalls(fetchSpy, 1);
+		} finally {
+			fetchSpy.restore();
+			time.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Stores content in the cache directory and loads it after a restart",
+	async fn() {
+		const fetchSpy = stub(
+			globalThis,
+			"fetch",
+			returnsNext([
+				Promise.resolve(new Response("content1")),
+				new TypeError("A network error occurred"),
+			]),
+		);
+		const time = new FakeTime();
+		const { fileContents, restore } = stubFsCalls();
+
+		try {
+			const cache1 = new AdsTxtCache();
+			const result1 = await cache1.fetchAdsTxt("https://example.com/ads.txt", 60_000, {
+				cacheDirectory: "/cache",
+			});
+			assertEquals(result1, {
+				fresh: true,
+				content: "content1",
+			});
+			assertEquals(fileContents.size, 1);
+			const [[cachePath, cacheContent]] = fileContents;
+			assertEquals(cachePath.startsWith("/cache/"), true);
+			const cacheData = JSON.parse(cacheContent);
+			assertEquals(cacheData.url, "https://example.com/ads.txt");
+			assertEquals(cacheData.content, "content1");
+			assertEquals(cacheData.status, 200);
+
+			// A new instance simulates the application being restarted.
+			const cache2 = new AdsTxtCache();
+			time.tick(30_000);
+			const result2 = await cache2.fetchAdsTxt("https://example.com/ads.txt", 60_000, {
+				cacheDirectory: "/cache",
+			});
+			assertEquals(result2, {
+				fresh: true,
+				content: "content1",
+			});
+			assertSpyCalls(fetchSpy, 1);
+
+			const cache3 = new AdsTxtCache();
+			time.tick(60_000);
+			const result3 = await cache3.fetchAdsTxt("https://example.com/ads.txt", 60_000, {
+				cacheDirectory: "/cache",
+			});
+			assertEquals(result3, {
+				fresh: false,
+				content: "content1",
+			});
+			assertSpyCalls(fetchSpy, 2);
+		} finally {
+			fetchSpy.restore();
+			time.restore();
+			restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Uses content from the cache directory when the first request after a restart fails",
+	async fn() {
+		const fetchSpy = stub(globalThis, "fetch", () => {
+			throw new TypeError("A network error occurred");
+		});
+		const time = new FakeTime(Date.UTC(2023, 0, 2));
+		const { fileContents, restore } = stubFsCalls();
+		const hash = "1eff600fcaa08eb90dd9c2b8f81405037dd202d93dec6641911952e8ff7e46b2";
+		fileContents.set(
+			`/cache/${hash}.json`,
+			JSON.stringify({
+				url: "https://example.com/ads.txt",
+				content: "persisted content",
+				fetchTime: Date.UTC(2023, 0, 1),
+				status: 200,
+				headers: {},
+			}),
+		);
+
+		try {
+			const cache = new AdsTxtCache();
+			const result = await cache.fetchAdsTxt("https://example.com/ads.txt", 60_000, {
+				cacheDirectory: "/cache",
+			});
+			assertEquals(result, {
+				fresh: false,
+				content: "persisted content",
+			});
+			assertSpyCalls(fetchSpy, 1);
+		} finally {
+			fetchSpy.restore();
+			time.restore();
+			restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Ignores invalid files in the cache directory",
+	async fn() {
+		const fetchSpy = stub(globalThis, "fetch", () => {
+			throw new TypeError("A network error occurred");
+		});
+		const { fileContents, readTextFileSpy, restore } = stubFsCalls();
+		const hash = "1eff600fcaa08eb90dd9c2b8f81405037dd202d93dec6641911952e8ff7e46b2";
+		fileContents.set(`/cache/${hash}.json`, "not json");
+
+		try {
+			const cache = new AdsTxtCache();
+			await assertRejects(async () => {
+				await cache.fetchAdsTxt("https://example.com/ads.txt", 60_000, {
+					cacheDirectory: "/cache",
+				});
+			});
+			assertSpyCall(readTextFileSpy, 0, {
+				args: [`/cache/${hash}.json`],
+			});
+		} finally {
+			fetchSpy.restore();
+			restore();
+		}
+	},
+});
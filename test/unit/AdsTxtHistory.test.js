@@ -0,0 +1,75 @@
+import { assertEquals, assertNotEquals } from "$std/testing/asserts.ts";
+import { FakeTime } from "$std/testing/time.ts";
+import { AdsTxtHistory } from "../../src/AdsTxtHistory.js";
+import { stubFsCalls } from "./shared.js";
+
+Deno.test({
+	name: "Saves versions and removes old versions",
+	async fn() {
+		const time = new FakeTime(Date.UTC(2023, 0, 1));
+		const { fileContents, restore } = stubFsCalls();
+		try {
+			const history = new AdsTxtHistory("/history", "/var/www/ads.txt", 2);
+			for (const content of ["content1", "content2", "content3"]) {
+				await history.save(content, [{ name: "https://example/ads1.txt", status: "fresh" }]);
+				time.tick(60_000);
+			}
+
+			assertEquals(Array.from(fileContents.keys()), [
+				"/history/var%2Fwww%2Fads.txt/2023-01-01T00-01-00-000Z.json",
+				"/history/var%2Fwww%2Fads.txt/2023-01-01T00-02-00-000Z.json",
+			]);
+			const versions = await history.list();
+			assertEquals(versions, [
+				{
+					version: "2023-01-01T00-01-00-000Z",
+					destination: "/var/www/ads.txt",
+					time: Date.UTC(2023, 0, 1, 0, 1),
+					sources: [{ name: "https://example/ads1.txt", status: "fresh" }],
+					content: "content2",
+				},
+				{
+					version: "2023-01-01T00-02-00-000Z",
+					destination: "/var/www/ads.txt",
+					time: Date.UTC(2023, 0, 1, 0, 2),
+					sources: [{ name: "https://example/ads1.txt", status: "fresh" }],
+					content: "content3",
+				},
+			]);
+		} finally {
+			restore();
+			time.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Pins and releases versions",
+	async fn() {
+		const { restore } = stubFsCalls();
+		try {
+			const history = new AdsTxtHistory("/history", "/var/www/ads.txt", 10);
+			const { version } = await history.save("content1", []);
+			assertEquals(await history.getPinned(), null);
+
+			await history.pin(version);
+			assertEquals((await history.getPinned())?.content, "content1");
+			assertEquals((await history.list()).length, 1);
+
+			assertEquals(await history.release(), true);
+			assertEquals(await history.getPinned(), null);
+			assertEquals(await history.release(), false);
+		} finally {
+			restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Keeps destinations with similar paths apart",
+	fn() {
+		const a = new AdsTxtHistory("/history", "/var/www/a_b/ads.txt", 10);
+		const b = new AdsTxtHistory("/history", "/var/www/a/b/ads.txt", 10);
+		assertNotEquals(a.pinnedFilePath, b.pinnedFilePath);
+	},
+});
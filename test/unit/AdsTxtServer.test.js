@@ -0,0 +1,121 @@
+import { assertEquals } from "$std/testing/asserts.ts";
+import { AdsTxtServer } from "../../src/AdsTxtServer.js";
+import { Metrics } from "../../src/Metrics.js";
+import { MetricsServer } from "../../src/MetricsServer.js";
+
+/**
+ * @param {string[]} hosts
+ * @param {string} servedPath
+ * @param {import("../../src/AdsTxtServer.js").ServedAdsTxt?} servedContent
+ */
+function createMockUpdater(hosts, servedPath, servedContent) {
+	return /** @type {import("../../src/AdsTxtUpdater.js").AdsTxtUpdater} */ ({
+		hosts,
+		servedPath,
+		servedContent,
+	});
+}
+
+function createServer() {
+	const updaters = [
+		createMockUpdater(["example.com", "www.example.com"], "/ads.txt", {
+			content: "example.com ads.txt",
+			etag: '"etag1"',
+		}),
+		createMockUpdater(["example.com"], "/app-ads.txt", {
+			content: "example.com app-ads.txt",
+			etag: '"etag2"',
+		}),
+		createMockUpdater(["loading.example"], "/ads.txt", null),
+	];
+	return new AdsTxtServer(() => updaters);
+}
+
+/**
+ * @param {string} path
+ * @param {Object<string, string>} headers
+ * @param {string} method
+ */
+function request(path, headers, method = "GET") {
+	return createServer().handleRequest(new Request(`http://localhost:8080${path}`, { method, headers }));
+}
+
+Deno.test({
+	name: "Serves content based on the host and path",
+	async fn() {
+		const response1 = request("/ads.txt", { Host: "WWW.example.com:8080" });
+		assertEquals(response1.status, 200);
+		assertEquals(await response1.text(), "example.com ads.txt");
+		assertEquals(response1.headers.get("Content-Type"), "text/plain; charset=utf-8");
+		assertEquals(response1.headers.get("ETag"), '"etag1"');
+		assertEquals(response1.headers.get("Cache-Control"), "public, max-age=3600");
+
+		const response2 = request("/app-ads.txt", { Host: "example.com" });
+		assertEquals(response2.status, 200);
+		assertEquals(await response2.text(), "example.com app-ads.txt");
+
+		const response3 = request("/app-ads.txt", { Host: "www.example.com" });
+		assertEquals(response3.status, 404);
+		await response3.body?.cancel();
+
+		const response4 = request("/robots.txt", { Host: "example.com" });
+		assertEquals(response4.status, 404);
+		await response4.body?.cancel();
+	},
+});
+
+Deno.test({
+	name: "Responds with 304 when the ETag matches",
+	async fn() {
+		const response1 = request("/ads.txt", { Host: "example.com", "If-None-Match": '"other", W/"etag1"' });
+		assertEquals(response1.status, 304);
+		assertEquals(response1.headers.get("ETag"), '"etag1"');
+
+		const response2 = request("/ads.txt", { Host: "example.com", "If-None-Match": '"etag2"' });
+		assertEquals(response2.status, 200);
+		await response2.body?.cancel();
+	},
+});
+
+Deno.test({
+	name: "Handles HEAD requests, unsupported methods and content that isn't generated yet",
+	async fn() {
+		const response1 = request("/ads.txt", { Host: "example.com" }, "HEAD");
+		assertEquals(response1.status, 200);
+		assertEquals(response1.headers.get("ETag"), '"etag1"');
+		assertEquals(response1.body, null);
+
+		const response2 = request("/ads.txt", { Host: "example.com" }, "POST");
+		assertEquals(response2.status, 405);
+		assertEquals(response2.headers.get("Allow"), "GET, HEAD");
+		await response2.body?.cancel();
+
+		const response3 = request("/ads.txt", { Host: "loading.example" });
+		assertEquals(response3.status, 503);
+		await response3.body?.cancel();
+	},
+});
+
+Deno.test({
+	name: "Serves metrics and the health check on the same listener when a metrics server is provided",
+	async fn() {
+		const metrics = new Metrics();
+		metrics.incrementCounter("adstxt_destination_writes_total", { destination: "/ads.txt" });
+		const server = new AdsTxtServer(() => [], { metricsServer: new MetricsServer(metrics, () => []) });
+
+		const response1 = server.handleRequest(new Request("http://localhost:8080/metrics"));
+		assertEquals(response1.status, 200);
+		assertEquals(
+			(await response1.text()).includes('adstxt_destination_writes_total{destination="/ads.txt"} 1'),
+			true,
+		);
+
+		const response2 = server.handleRequest(new Request("http://localhost:8080/healthz"));
+		assertEquals(response2.status, 200);
+		assertEquals(await response2.text(), "ok\n");
+
+		const response3 = createServer().handleRequest(new Request("http://localhost:8080/metrics"));
+		assertEquals(response3.status, 404);
+		await response3.body?.cancel();
+	},
+});
@@ -1,15 +1,18 @@
 import { FakeTime } from "$std/testing/time.ts";
 import { assertEquals } from "$std/testing/asserts.ts";
-import { AdsTxtUpdater, mockEnsureFile } from "../../src/AdsTxtUpdater.js";
+import { assertSpyCalls, stub } from "$std/testing/mock.ts";
+import { AdsTxtUpdater, mockEnsureDir } from "../../src/AdsTxtUpdater.js";
+import { Metrics } from "../../src/Metrics.js";
 import { createMockAdsTxtCache, mockDate, stubFsCalls } from "./shared.js";
 
-mockEnsureFile();
+mockEnsureDir();
 
 /**
  * @typedef AdsTxtUpdaterTestContext
  * @property {AdsTxtUpdater} updater
  * @property {FakeTime} time
  * @property {Map<string, import("../../src/AdsTxtCache.js").FetchAdsTxtResult>} fetchResults
+ * @property {ReturnType<typeof createMockAdsTxtCache>["fetchCalls"]} fetchCalls
  * @property {Map<string, string>} fileContents
  * @property {(path: string, content: string?, event: Deno.FsEvent) => void} externalUpdateFileContent
  */
@@ -18,25 +21,37 @@ mockEnsureFile();
  * @param {import("../../src/AdsTxtUpdater.js").AdsTxtConfig} options.config
  * @param {(ctx: AdsTxtUpdaterTestContext) => void | Promise<void>} options.fn
  * @param {Map<string, import("../../src/AdsTxtCache.js").FetchAdsTxtResult>} [options.fetchAdsTxtResults]
+ * @param {Object<string, string>} [options.files] Files that exist before the updater is created.
+ * @param {string[]} [options.readOnlyDirectories] Directories in which writing files fails.
+ * @param {Metrics} [options.metrics]
  */
 async function basicTest({
 	config,
 	fetchAdsTxtResults,
+	files = {},
+	readOnlyDirectories = [],
+	metrics,
 	fn,
 }) {
-	const { mockCache, fetchResults } = createMockAdsTxtCache(fetchAdsTxtResults);
+	const { mockCache, fetchResults, fetchCalls } = createMockAdsTxtCache(fetchAdsTxtResults);
 	const time = new FakeTime();
 	const mockedDate = mockDate();
-	const { fileContents, externalUpdateFileContent, restore } = stubFsCalls();
+	const { fileContents, readOnlyDirectories: readOnly, externalUpdateFileContent, restore } = stubFsCalls();
+	for (const [path, content] of Object.entries(files)) {
+		fileContents.set(path, content);
+	}
+	for (const directory of readOnlyDirectories) {
+		readOnly.add(directory);
+	}
 
 	try {
-		const updater = new AdsTxtUpdater("/path/to/config.yml", config, mockCache);
+		const updater = new AdsTxtUpdater("/path/to/config.yml", config, mockCache, { metrics });
 
 		// Wait for ads.txt to get written
 		await updater.waitForPromises();
 
 		try {
-			await fn({ updater, time, fetchResults, fileContents, externalUpdateFileContent });
+			await fn({ updater, time, fetchResults, fetchCalls, fileContents, externalUpdateFileContent });
 		} finally {
 			await updater.destructor();
 		}
@@ -168,6 +183,962 @@ domain.com, 1234, RESELLER, 123456789abcdef1
 	},
 });
 
+Deno.test({
+	name: "Transforms the combined sources",
+	async fn() {
+		/** @type {Map<string, import("../../src/AdsTxtCache.js").FetchAdsTxtResult>} */
+		const fetchAdsTxtResults = new Map();
+		fetchAdsTxtResults.set("https://example/ads1.txt", {
+			content: "google.com, 1234, DIRECT\nexample.com, 1234, DIRECT",
+			fresh: true,
+		});
+		fetchAdsTxtResults.set("https://example/ads2.txt", {
+			content: "ads.example.com, 5678, RESELLER\nother.com, 5678, DIRECT",
+			fresh: true,
+		});
+		await basicTest({
+			config: {
+				destination: "/ads.txt",
+				sources: [
+					{
+						source: "https://example/ads1.txt",
+						transform: { exclude_domains: ["google.com"] },
+					},
+					"https://example/ads2.txt",
+				],
+				transform: {
+					include_domains: ["example.com", "*.example.com"],
+				},
+			},
+			fetchAdsTxtResults,
+			fn({ fileContents }) {
+				assertEquals(
+					fileContents.get("/ads.txt"),
+					`# This file was generated on *current time*
+
+# The following filters removed lines:
+# - exclude_domains removed 1 line from https://example/ads1.txt
+# - include_domains removed 1 line from all sources
+
+# Fetched from https://example/ads1.txt
+example.com, 1234, DIRECT
+
+# Fetched from https://example/ads2.txt
+ads.example.com, 5678, RESELLER
+
+`,
+				);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Writes variables at the top and removes them from sources",
+	async fn() {
+		/** @type {Map<string, import("../../src/AdsTxtCache.js").FetchAdsTxtResult>} */
+		const fetchAdsTxtResults = new Map();
+		fetchAdsTxtResults.set("https://example/ads1.txt", {
+			content: "contact=vendor@example.com\nSUBDOMAIN=sub.example.com\nexample.com, 1234, DIRECT",
+			fresh: true,
+		});
+		await basicTest({
+			config: {
+				destination: "/ads.txt",
+				sources: ["https://example/ads1.txt"],
+				variables: {
+					OWNERDOMAIN: "example.com",
+					CONTACT: ["ads@example.com", "https://example.com/contact"],
+				},
+			},
+			fetchAdsTxtResults,
+			fn({ fileContents }) {
+				assertEquals(
+					fileContents.get("/ads.txt"),
+					`# This file was generated on *current time*
+
+OWNERDOMAIN=example.com
+CONTACT=ads@example.com
+CONTACT=https://example.com/contact
+
+# Fetched from https://example/ads1.txt
+SUBDOMAIN=sub.example.com
+example.com, 1234, DIRECT
+
+`,
+				);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Sorts the output according to the sort option",
+	async fn() {
+		/** @type {Map<string, import("../../src/AdsTxtCache.js").FetchAdsTxtResult>} */
+		const fetchAdsTxtResults = new Map();
+		fetchAdsTxtResults.set("https://example/ads1.txt", {
+			content: "# vendor 1\nc.com, 1, RESELLER\na.com, 1, DIRECT",
+			fresh: true,
+		});
+		fetchAdsTxtResults.set("https://example/ads2.txt", {
+			content: "b.com, 1, DIRECT",
+			fresh: true,
+		});
+		/** @type {Object<import("../../src/sortAdsTxt.js").SortMode, string>} */
+		const expectedContents = {
+			sources: `# Fetched from https://example/ads1.txt
+a.com, 1, DIRECT
+c.com, 1, RESELLER
+
+# Fetched from https://example/ads2.txt
+b.com, 1, DIRECT
+
+`,
+			domain: `# Combined from:
+# - https://example/ads1.txt
+# - https://example/ads2.txt
+
+a.com, 1, DIRECT
+b.com, 1, DIRECT
+c.com, 1, RESELLER
+
+`,
+			relationship: `# Combined from:
+# - https://example/ads1.txt
+# - https://example/ads2.txt
+
+# DIRECT
+a.com, 1, DIRECT
+b.com, 1, DIRECT
+
+# RESELLER
+c.com, 1, RESELLER
+
+`,
+		};
+		for (const [sort, expected] of Object.entries(expectedContents)) {
+			await basicTest({
+				config: {
+					destination: "/ads.txt",
+					sources: ["https://example/ads1.txt", "https://example/ads2.txt"],
+					sort: /** @type {import("../../src/sortAdsTxt.js").SortMode} */ (sort),
+				},
+				fetchAdsTxtResults,
+				fn({ fileContents }) {
+					assertEquals(
+						fileContents.get("/ads.txt"),
+						`# This file was generated on *current time*\n\n${expected}`,
+					);
+				},
+			});
+		}
+	},
+});
+
+Deno.test({
+	name: "Handles invalid lines according to the invalid_lines policy",
+	async fn() {
+		const content = `domain.com, 1234, DIRECT
+domain.com, 1234, PARTNER`;
+		/** @type {Map<string, import("../../src/AdsTxtCache.js").FetchAdsTxtResult>} */
+		const fetchAdsTxtResults = new Map();
+		fetchAdsTxtResults.set("https://example/keep.txt", { fresh: true, content });
+		fetchAdsTxtResults.set("https://example/drop.txt", { fresh: true, content });
+		fetchAdsTxtResults.set("https://example/comment.txt", { fresh: true, content });
+		fetchAdsTxtResults.set("https://example/reject.txt", { fresh: true, content });
+		await basicTest({
+			config: {
+				destination: "/ads.txt",
+				sources: [
+					"https://example/keep.txt",
+					{
+						source: "https://example/drop.txt",
+						invalid_lines: "drop",
+					},
+					{
+						source: "https://example/comment.txt",
+						invalid_lines: "comment",
+					},
+					{
+						source: "https://example/reject.txt",
+						invalid_lines: "reject",
+					},
+				],
+			},
+			fetchAdsTxtResults,
+			fn({ fileContents }) {
+				assertEquals(
+					fileContents.get("/ads.txt"),
+					`# This file was generated on *current time*
+
+# Error: The following urls contain invalid lines and are not included:
+# - https://example/reject.txt
+
+# Fetched from https://example/keep.txt
+domain.com, 1234, DIRECT
+domain.com, 1234, PARTNER
+
+# Fetched from https://example/drop.txt
+domain.com, 1234, DIRECT
+
+# Fetched from https://example/comment.txt
+domain.com, 1234, DIRECT
+# domain.com, 1234, PARTNER # Invalid: The relationship must be DIRECT or RESELLER, but found "PARTNER".
+
+`,
+				);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Removes duplicate records when dedupe is set",
+	async fn() {
+		/** @type {Map<string, import("../../src/AdsTxtCache.js").FetchAdsTxtResult>} */
+		const fetchAdsTxtResults = new Map();
+		fetchAdsTxtResults.set("https://example/ads1.txt", {
+			fresh: true,
+			content: `domain.com, 1234, RESELLER
+other.com, 1234, DIRECT`,
+		});
+		fetchAdsTxtResults.set("https://example/ads2.txt", {
+			fresh: true,
+			content: `DOMAIN.com, 1234, RESELLER
+domain.com, 5678, RESELLER`,
+		});
+		await basicTest({
+			config: {
+				destination: "/ads.txt",
+				sources: ["https://example/ads1.txt", "https://example/ads2.txt"],
+				dedupe: true,
+			},
+			fetchAdsTxtResults,
+			fn({ fileContents }) {
+				assertEquals(
+					fileContents.get("/ads.txt"),
+					`# This file was generated on *current time*
+
+# Fetched from https://example/ads1.txt
+domain.com, 1234, RESELLER
+other.com, 1234, DIRECT
+
+# Fetched from https://example/ads2.txt
+domain.com, 5678, RESELLER
+
+`,
+				);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Lists conflicting declarations",
+	async fn() {
+		/** @type {Map<string, import("../../src/AdsTxtCache.js").FetchAdsTxtResult>} */
+		const fetchAdsTxtResults = new Map();
+		fetchAdsTxtResults.set("https://example/ads1.txt", {
+			fresh: true,
+			content: "domain.com, 1234, RESELLER",
+		});
+		fetchAdsTxtResults.set("https://example/ads2.txt", {
+			fresh: true,
+			content: "domain.com, 1234, DIRECT",
+		});
+		await basicTest({
+			config: {
+				destination: "/ads.txt",
+				sources: ["https://example/ads1.txt", "https://example/ads2.txt"],
+				conflicts: "prefer_direct",
+			},
+			fetchAdsTxtResults,
+			fn({ fileContents }) {
+				assertEquals(
+					fileContents.get("/ads.txt"),
+					`# This file was generated on *current time*
+
+# Warning: The following records have conflicting declarations:
+# - domain.com, 1234: RESELLER in https://example/ads1.txt (removed), DIRECT in https://example/ads2.txt
+
+# Fetched from https://example/ads1.txt
+
+# Fetched from https://example/ads2.txt
+domain.com, 1234, DIRECT
+
+`,
+				);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Passes the cache directory relative to the config",
+	async fn() {
+		await basicTest({
+			config: {
+				destination: "/ads.txt",
+				sources: ["https://example/ads1.txt"],
+				cache_directory: "./cache",
+			},
+			fn({ fetchCalls }) {
+				assertEquals(fetchCalls, [
+					["https://example/ads1.txt", undefined, { cacheDirectory: "/path/to/cache" }],
+				]);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Passes fetch options from the destination and sources",
+	async fn() {
+		await basicTest({
+			config: {
+				destination: "/ads.txt",
+				fetch_timeout: "10s",
+				retries: 2,
+				retry_delay: "5s",
+				max_stale: "7d",
+				sources: [
+					"https://example/ads1.txt",
+					{
+						source: "https://example/ads2.txt",
+						fetch_timeout: "1m",
+						retries: 0,
+						max_stale: "30d",
+					},
+				],
+			},
+			fn({ fetchCalls }) {
+				assertEquals(fetchCalls, [
+					["https://example/ads1.txt", undefined, {
+						cacheDirectory: undefined,
+						maxStaleMs: 7 * 24 * 60 * 60 * 1000,
+						timeoutMs: 10_000,
+						retries: 2,
+						retryDelayMs: 5_000,
+					}],
+					["https://example/ads2.txt", undefined, {
+						cacheDirectory: undefined,
+						maxStaleMs: 30 * 24 * 60 * 60 * 1000,
+						timeoutMs: 60_000,
+						retries: 0,
+						retryDelayMs: 5_000,
+					}],
+				]);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Updates as often as the shortest cache duration of the sources",
+	async fn() {
+		await basicTest({
+			config: {
+				destination: "/ads.txt",
+				sources: [
+					"https://example/ads1.txt",
+					{
+						source: "https://example/ads2.txt",
+						cache_duration: "1h",
+					},
+				],
+			},
+			async fn({ updater, fetchCalls, fetchResults, fileContents, time }) {
+				assertEquals(fetchCalls.length, 2);
+				fetchResults.set("https://example/ads2.txt", { content: "new content2", fresh: true });
+
+				await time.tickAsync(60 * 60 * 1000);
+				await updater.waitForPromises();
+
+				assertEquals(fetchCalls.length, 4);
+				assertEquals(fileContents.get("/ads.txt")?.includes("new content2"), true);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Passes cache durations from the destination and sources",
+	async fn() {
+		await basicTest({
+			config: {
+				destination: "/ads.txt",
+				cache_duration: "12h",
+				sources: [
+					"https://example/ads1.txt",
+					{
+						source: "https://example/ads2.txt",
+						cache_duration: "30d",
+					},
+				],
+			},
+			fn({ fetchCalls }) {
+				assertEquals(fetchCalls.map((args) => args[1]), [12 * 60 * 60 * 1000, 30 * 24 * 60 * 60 * 1000]);
+			},
+		});
+		await basicTest({
+			config: {
+				destination: "/ads.txt",
+				sources: ["https://example/ads1.txt"],
+			},
+			fn({ fetchCalls }) {
+				// The cache uses its own default when no duration is configured.
+				assertEquals(fetchCalls.map((args) => args[1]), [undefined]);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Includes local files and inline records",
+	async fn() {
+		await basicTest({
+			config: {
+				destination: "/path/to/ads.txt",
+				sources: [
+					{ file: "own.txt" },
+					{ file: "/missing.txt" },
+					{ records: ["example.com, 1234, DIRECT", "CONTACT=ads@example.com"] },
+					"https://example/ads1.txt",
+				],
+			},
+			files: {
+				"/path/to/own.txt": "own.example, 5678, DIRECT",
+			},
+			fn({ fileContents, fetchCalls }) {
+				assertEquals(fetchCalls.map(([url]) => url), ["https://example/ads1.txt"]);
+				assertEquals(
+					fileContents.get("/path/to/ads.txt"),
+					`# This file was generated on *current time*
+
+# Error: The following urls failed and are not included:
+# - /missing.txt
+
+# Read from /path/to/own.txt
+own.example, 5678, DIRECT
+
+# Listed in /path/to/config.yml (sources[2])
+example.com, 1234, DIRECT
+CONTACT=ads@example.com
+
+# Fetched from https://example/ads1.txt
+content1
+
+`,
+				);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Shrink protection keeps the existing file while too many records would be removed",
+	async fn() {
+		const existingContent = `# This file was generated on *previous time*
+
+# Fetched from https://example/ads1.txt
+a.com, 1, DIRECT
+b.com, 1, DIRECT
+c.com, 1, DIRECT
+`;
+		/** @type {Map<string, import("../../src/AdsTxtCache.js").FetchAdsTxtResult>} */
+		const fetchAdsTxtResults = new Map();
+		fetchAdsTxtResults.set("https://example/ads1.txt", {
+			content: "a.com, 1, DIRECT",
+			fresh: true,
+		});
+		await basicTest({
+			config: {
+				destination: "/ads.txt",
+				sources: ["https://example/ads1.txt"],
+				shrink_protection: true,
+			},
+			fetchAdsTxtResults,
+			files: {
+				"/ads.txt": existingContent,
+			},
+			async fn({ updater, fileContents, fetchResults, time }) {
+				assertEquals(fileContents.get("/ads.txt"), existingContent);
+
+				await time.tickAsync(24 * 60 * 60 * 1000);
+				await updater.waitForPromises();
+
+				assertEquals(fileContents.get("/ads.txt"), existingContent);
+
+				fetchResults.set("https://example/ads1.txt", {
+					content: "a.com, 1, DIRECT\nb.com, 1, DIRECT",
+					fresh: true,
+				});
+				await time.tickAsync(24 * 60 * 60 * 1000);
+				await updater.waitForPromises();
+
+				assertEquals(
+					fileContents.get("/ads.txt"),
+					`# This file was generated on *current time*
+
+# Fetched from https://example/ads1.txt
+a.com, 1, DIRECT
+b.com, 1, DIRECT
+
+`,
+				);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Shrink protection with require_confirmation saves a pending file",
+	async fn() {
+		const existingContent = `# This file was generated on *previous time*
+
+# Fetched from https://example/ads1.txt
+a.com, 1, DIRECT
+b.com, 1, DIRECT
+c.com, 1, DIRECT
+`;
+		/** @type {Map<string, import("../../src/AdsTxtCache.js").FetchAdsTxtResult>} */
+		const fetchAdsTxtResults = new Map();
+		fetchAdsTxtResults.set("https://example/ads1.txt", {
+			content: "a.com, 1, DIRECT\nb.com, 1, DIRECT",
+			fresh: true,
+		});
+		await basicTest({
+			config: {
+				destination: "/ads.txt",
+				sources: ["https://example/ads1.txt"],
+				shrink_protection: {
+					max_removed_records: 0,
+					require_confirmation: true,
+					pending_directory: "/pending",
+				},
+			},
+			fetchAdsTxtResults,
+			files: {
+				"/ads.txt": existingContent,
+			},
+			async fn({ updater, fileContents, fetchResults, time }) {
+				const pendingPath = "/pending/%2Fads.txt.pending";
+				const expectedPending = `# This file was generated on *current time*
+
+# Fetched from https://example/ads1.txt
+a.com, 1, DIRECT
+b.com, 1, DIRECT
+
+`;
+				assertEquals(fileContents.get("/ads.txt"), existingContent);
+				assertEquals(fileContents.get(pendingPath), expectedPending);
+
+				await time.tickAsync(24 * 60 * 60 * 1000);
+				await updater.waitForPromises();
+
+				assertEquals(fileContents.get("/ads.txt"), existingContent);
+				assertEquals(fileContents.get(pendingPath), expectedPending);
+
+				// The pending version is outdated once the records are back
+				fetchResults.set("https://example/ads1.txt", {
+					content: "a.com, 1, DIRECT\nb.com, 1, DIRECT\nc.com, 1, DIRECT\nd.com, 1, DIRECT",
+					fresh: true,
+				});
+				await time.tickAsync(24 * 60 * 60 * 1000);
+				await updater.waitForPromises();
+
+				assertEquals(fileContents.has(pendingPath), false);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Saves versions to the history and uses pinned versions",
+	async fn() {
+		await basicTest({
+			config: {
+				destination: "/path/to/ads.txt",
+				sources: ["https://example/ads1.txt", "https://example/missing.txt"],
+				history: {
+					directory: "history",
+				},
+			},
+			async fn({ updater, fileContents, fetchResults, time }) {
+				const versionPaths = [...fileContents.keys()].filter((path) => path.startsWith("/path/to/history/"));
+				assertEquals(versionPaths.length, 1);
+				const saved = JSON.parse(fileContents.get(versionPaths[0]) || "");
+				assertEquals(saved.sources, [
+					{ name: "https://example/ads1.txt", status: "fresh" },
+					{ name: "https://example/missing.txt", status: "failed" },
+				]);
+				assertEquals(
+					saved.content,
+					(fileContents.get("/path/to/ads.txt") || "").split("\n").slice(2).join("\n"),
+				);
+
+				fileContents.set(
+					"/path/to/history/path%2Fto%2Fads.txt/pinned.json",
+					JSON.stringify({ version: saved.version }),
+				);
+				fetchResults.set("https://example/ads1.txt", {
+					content: "content2",
+					fresh: true,
+				});
+				await time.tickAsync(24 * 60 * 60 * 1000);
+				await updater.waitForPromises();
+
+				assertEquals(
+					fileContents.get("/path/to/ads.txt"),
+					`# This file was generated on *current time*
+
+# Error: The following urls failed and are not included:
+# - https://example/missing.txt
+
+# Fetched from https://example/ads1.txt
+content1
+
+`,
+				);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Updates the destination again when a restored version is released",
+	async fn() {
+		await basicTest({
+			config: {
+				destination: "/path/to/ads.txt",
+				sources: ["https://example/ads1.txt"],
+				history: {
+					directory: "history",
+				},
+			},
+			async fn({ updater, time, fileContents, fetchResults, externalUpdateFileContent }) {
+				// The cooldown after watch events uses `performance.now()`, which FakeTime doesn't mock.
+				const performanceNowStub = stub(performance, "now", () => time.now);
+				const pinnedPath = "/path/to/history/path%2Fto%2Fads.txt/pinned.json";
+				const versionPaths = [...fileContents.keys()].filter((path) => path.startsWith("/path/to/history/"));
+				const saved = JSON.parse(fileContents.get(versionPaths[0]) || "");
+
+				// Simulates `history restore`, the pinned file doesn't exist when the watchers are created.
+				externalUpdateFileContent(pinnedPath, JSON.stringify({ version: saved.version }), {
+					kind: "create",
+					paths: [pinnedPath],
+				});
+				const restoredContent =
+					`# This file was restored from version ${saved.version} on *current time*\n\n${saved.content}`;
+				externalUpdateFileContent("/path/to/ads.txt", restoredContent, {
+					kind: "modify",
+					paths: ["/path/to/ads.txt"],
+				});
+				fetchResults.set("https://example/ads1.txt", {
+					content: "content2",
+					fresh: true,
+				});
+				await time.tickAsync(2000);
+				await updater.waitForPromises();
+				assertEquals(fileContents.get("/path/to/ads.txt"), restoredContent);
+
+				// Simulates `history release`
+				externalUpdateFileContent(pinnedPath, null, {
+					kind: "remove",
+					paths: [pinnedPath],
+				});
+				await time.tickAsync(2000);
+				await updater.waitForPromises();
+				performanceNowStub.restore();
+
+				assertEquals(
+					fileContents.get("/path/to/ads.txt"),
+					`# This file was generated on *current time*
+
+# Fetched from https://example/ads1.txt
+content2
+
+`,
+				);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Appends changed records to the changelog",
+	async fn() {
+		await basicTest({
+			config: {
+				destination: "/path/to/ads.txt",
+				sources: ["https://example/ads1.txt"],
+				changelog: "changelog.txt",
+			},
+			fetchAdsTxtResults: new Map([["https://example/ads1.txt", {
+				content: "a.com, 1, DIRECT\nb.com, 1, DIRECT",
+				fresh: true,
+			}]]),
+			async fn({ updater, fileContents, fetchResults, time }) {
+				fetchResults.set("https://example/ads1.txt", {
+					content: "a.com, 1, RESELLER\nc.com, 1, DIRECT",
+					fresh: true,
+				});
+				await time.tickAsync(24 * 60 * 60 * 1000);
+				await updater.waitForPromises();
+
+				assertEquals(
+					fileContents.get("/path/to/changelog.txt"),
+					`*current time*: 2 added, 0 removed, 0 changed
+  https://example/ads1.txt
+    + a.com, 1, DIRECT
+    + b.com, 1, DIRECT
+
+*current time*: 1 added, 1 removed, 1 changed
+  https://example/ads1.txt
+    + c.com, 1, DIRECT
+    - b.com, 1, DIRECT
+    ~ a.com, 1, DIRECT -> a.com, 1, RESELLER
+
+`,
+				);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Sends webhooks for updates and failed sources",
+	async fn() {
+		/** @type {import("../../src/webhooks.js").WebhookPayload[]} */
+		const payloads = [];
+		const fetchSpy = stub(globalThis, "fetch", async (_url, init) => {
+			payloads.push(JSON.parse(String(init?.body)));
+			return new Response("ok");
+		});
+		try {
+			await basicTest({
+				config: {
+					destination: "/ads.txt",
+					sources: ["https://example/ads1.txt", "https://example/missing.txt"],
+					webhooks: [
+						{
+							url: "https://hooks.example.com",
+							events: ["destination_updated", "source_failed"],
+						},
+					],
+				},
+				async fn({ updater, fetchResults, time }) {
+					assertEquals(payloads.map((payload) => payload.event), ["destination_updated", "source_failed"]);
+					assertEquals(payloads[0].destination, "/ads.txt");
+					assertEquals(payloads[0].sources, [
+						{ name: "https://example/ads1.txt", status: "fresh" },
+						{ name: "https://example/missing.txt", status: "failed" },
+					]);
+					assertEquals(payloads[1].sources, [{ name: "https://example/missing.txt", status: "failed" }]);
+					assertEquals(payloads[1].diff, { added: 0, removed: 0, changed: 0 });
+
+					// The source keeps failing, which has already been reported.
+					await time.tickAsync(24 * 60 * 60 * 1000);
+					await updater.waitForPromises();
+					assertEquals(payloads.map((payload) => payload.event), ["destination_updated", "source_failed"]);
+
+					fetchResults.set("https://example/missing.txt", { content: "content2", fresh: true });
+					await time.tickAsync(24 * 60 * 60 * 1000);
+					await updater.waitForPromises();
+					fetchResults.delete("https://example/missing.txt");
+					await time.tickAsync(24 * 60 * 60 * 1000);
+					await updater.waitForPromises();
+					assertEquals(payloads.map((payload) => payload.event), [
+						"destination_updated",
+						"source_failed",
+						"destination_updated",
+						"destination_updated",
+						"source_failed",
+					]);
+				},
+			});
+		} finally {
+			fetchSpy.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Stops retrying webhooks when destructed",
+	async fn() {
+		const statuses = [200];
+		const fetchSpy = stub(globalThis, "fetch", async () => new Response("", { status: statuses.shift() ?? 500 }));
+		try {
+			await basicTest({
+				config: {
+					destination: "/ads.txt",
+					sources: ["https://example/ads1.txt"],
+					webhooks: [{ url: "https://hooks.example.com", retries: 5 }],
+				},
+				async fn({ fetchResults, time }) {
+					assertSpyCalls(fetchSpy, 1);
+					fetchResults.set("https://example/ads1.txt", { content: "content2", fresh: true });
+					await time.tickAsync(24 * 60 * 60 * 1000);
+					assertSpyCalls(fetchSpy, 2);
+					// The destructor of basicTest would never resolve if it waited for the retries.
+				},
+			});
+			assertSpyCalls(fetchSpy, 2);
+		} finally {
+			fetchSpy.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Keeps serving the last good content when all sources fail",
+	async fn() {
+		await basicTest({
+			config: {
+				destination: "/ads.txt",
+				sources: ["https://example/ads1.txt"],
+				hosts: ["example.com"],
+			},
+			async fn({ updater, fetchResults, fileContents, time }) {
+				const goodContent = fileContents.get("/ads.txt");
+				assertEquals(updater.servedContent?.content, goodContent);
+				const etag = updater.servedContent?.etag;
+
+				fetchResults.delete("https://example/ads1.txt");
+				await time.tickAsync(24 * 60 * 60 * 1000);
+				await updater.waitForPromises();
+
+				assertEquals(
+					fileContents.get("/ads.txt"),
+					`# This file was generated on *current time*
+
+# Error: The following urls failed and are not included:
+# - https://example/ads1.txt
+
+`,
+				);
+				assertEquals(updater.servedContent?.content, goodContent);
+				assertEquals(updater.servedContent?.etag, etag);
+
+				fetchResults.set("https://example/ads1.txt", { content: "content2", fresh: true });
+				await time.tickAsync(24 * 60 * 60 * 1000);
+				await updater.waitForPromises();
+
+				assertEquals(updater.servedContent?.content, fileContents.get("/ads.txt"));
+				assertEquals(updater.servedContent?.content.includes("content2"), true);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Only serves the content when write is disabled",
+	async fn() {
+		await basicTest({
+			config: {
+				destination: "/ads.txt",
+				sources: ["https://example/ads1.txt"],
+				hosts: ["example.com"],
+				write: false,
+			},
+			async fn({ updater, fetchResults, fileContents, time }) {
+				assertEquals(fileContents.has("/ads.txt"), false);
+				assertEquals(
+					updater.servedContent?.content,
+					`# This file was generated on *current time*
+
+# Fetched from https://example/ads1.txt
+content1
+
+`,
+				);
+				const etag = updater.servedContent?.etag;
+
+				// Updates that don't change the content keep the same etag
+				await time.tickAsync(24 * 60 * 60 * 1000);
+				await updater.waitForPromises();
+				assertEquals(updater.servedContent?.etag, etag);
+
+				fetchResults.set("https://example/ads1.txt", { content: "content2", fresh: true });
+				await time.tickAsync(24 * 60 * 60 * 1000);
+				await updater.waitForPromises();
+				assertEquals(updater.servedContent?.content.includes("content2"), true);
+				assertEquals(fileContents.has("/ads.txt"), false);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Serves the content when writing it fails",
+	async fn() {
+		await basicTest({
+			config: {
+				destination: "/var/www/ads.txt",
+				sources: ["https://example/ads1.txt"],
+				hosts: ["example.com"],
+			},
+			readOnlyDirectories: ["/var/www"],
+			fn({ updater, fileContents }) {
+				assertEquals(fileContents.has("/var/www/ads.txt"), false);
+				assertEquals(updater.servedContent?.content.includes("content1"), true);
+				assertEquals(updater.lastUpdateResult, "failed");
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Keeps track of the state of sources and records metrics",
+	async fn() {
+		const metrics = new Metrics();
+		await basicTest({
+			config: {
+				destination: "/ads.txt",
+				max_stale: "2d",
+				sources: [
+					{ source: "https://example/ads1.txt", required: true },
+					{ source: "https://example/missing.txt", max_stale: "1h" },
+				],
+			},
+			metrics,
+			async fn({ updater, fetchResults, time }) {
+				const firstSuccessTime = Date.now();
+				assertEquals(updater.sourceStates, [
+					{
+						name: "https://example/ads1.txt",
+						required: true,
+						maxStaleMs: 2 * 24 * 60 * 60 * 1000,
+						status: "fresh",
+						lastSuccessTime: firstSuccessTime,
+					},
+					{
+						name: "https://example/missing.txt",
+						required: false,
+						maxStaleMs: 60 * 60 * 1000,
+						status: "failed",
+						lastSuccessTime: null,
+					},
+				]);
+
+				fetchResults.set("https://example/ads1.txt", {
+					content: "a.com, 1, DIRECT\nb.com, 1, DIRECT",
+					fresh: false,
+				});
+				await time.tickAsync(24 * 60 * 60 * 1000);
+				await updater.waitForPromises();
+
+				assertEquals(updater.sourceStates[0].status, "cached");
+				assertEquals(updater.sourceStates[0].lastSuccessTime, firstSuccessTime);
+				const lines = metrics.serialize().split("\n");
+				assertEquals(lines.includes('adstxt_destination_writes_total{destination="/ads.txt"} 2'), true);
+				assertEquals(lines.includes('adstxt_destination_records{destination="/ads.txt"} 2'), true);
+			},
+		});
+	},
+});
+
 Deno.test({
 	name: "Rewrites destination when it is changed",
 	ignore: true,
@@ -1,9 +1,11 @@
 import { assertEquals } from "$std/testing/asserts.ts";
+import { stub } from "$std/testing/mock.ts";
 import { ConfigWatcher } from "../../src/ConfigWatcher.js";
-import { mockEnsureFile } from "../../src/AdsTxtUpdater.js";
+import { mockEnsureDir } from "../../src/AdsTxtUpdater.js";
+import { Metrics } from "../../src/Metrics.js";
 import { createMockAdsTxtCache, mockDate, stubFsCalls } from "./shared.js";
 
-mockEnsureFile();
+mockEnsureDir();
 
 /**
  * @typedef ConfigWatcherTestContext
@@ -12,6 +14,7 @@ mockEnsureFile();
  * @property {() => string?} getCurrentDestinationContent
  * @property {(newContent: string, event: Deno.FsEvent) => void} udpateConfig
  * @property {(newContent: string, event: Deno.FsEvent) => void} udpateDestination
+ * @property {(path: string, newContent: string, event: Deno.FsEvent) => void} updateFile
  */
 /**
  * @param {Object} options
@@ -19,12 +22,16 @@ mockEnsureFile();
  * @param {string} [options.destinationPath] The path to the ads.txt destination file
  * @param {string?} [options.configContent]
  * @param {Map<string, import("../../src/AdsTxtCache.js").FetchAdsTxtResult>} [options.fetchAdsTxtResults]
+ * @param {Object<string, string>} [options.files] Files that exist before the config is loaded.
+ * @param {Metrics} [options.metrics]
  */
 async function basicTest({
 	fn,
 	destinationPath = "/ads.txt",
 	configContent = null,
 	fetchAdsTxtResults,
+	files = {},
+	metrics,
 }) {
 	const configPath = "/config.yml";
 
@@ -40,11 +47,14 @@ sources:
 
 	const { fileContents, externalUpdateFileContent, restore } = stubFsCalls();
 	fileContents.set(configPath, configContent);
+	for (const [path, content] of Object.entries(files)) {
+		fileContents.set(path, content);
+	}
 
 	const { mockCache } = createMockAdsTxtCache(fetchAdsTxtResults);
 
 	try {
-		const watcher = new ConfigWatcher(configPath, mockCache);
+		const watcher = new ConfigWatcher(configPath, mockCache, metrics);
 
 		// Wait for config to load
 		await watcher.waitForPromises();
@@ -64,6 +74,9 @@ sources:
 				udpateDestination(newContent, event) {
 					externalUpdateFileContent(destinationPath, newContent, event);
 				},
+				updateFile(path, newContent, event) {
+					externalUpdateFileContent(path, newContent, event);
+				},
 			});
 		} finally {
 			await watcher.destructor();
@@ -169,8 +182,10 @@ Deno.test({
 	name: "Rewrites the destination when it is changed from an external source",
 	async fn() {
 		const destinationPath = "/ads.txt";
+		const metrics = new Metrics();
 		await basicTest({
 			destinationPath,
+			metrics,
 			async fn({ watcher, udpateDestination, getCurrentDestinationContent }) {
 				udpateDestination("replaced content", {
 					kind: "modify",
@@ -194,9 +209,145 @@ Deno.test({
 # Fetched from https://example/ads1.txt
 content1
 
+`,
+				);
+
+				const serialized = metrics.serialize();
+				assertEquals(serialized.includes('adstxt_destination_writes_total{destination="/ads.txt"} 2'), true);
+				assertEquals(
+					serialized.includes('adstxt_destination_watcher_rewrites_total{destination="/ads.txt"} 1'),
+					true,
+				);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Updates the destination when a local source file changes",
+	async fn() {
+		const destinationPath = "/ads.txt";
+		await basicTest({
+			destinationPath,
+			configContent: `
+destination: ${destinationPath}
+sources:
+  - file: own/ads.txt
+`,
+			files: {
+				"/own/ads.txt": "example.com, 1234, DIRECT",
+			},
+			async fn({ watcher, updateFile, getCurrentDestinationContent }) {
+				updateFile("/own/ads.txt", "example.com, 5678, DIRECT", {
+					kind: "modify",
+					paths: ["/own/ads.txt"],
+				});
+
+				// Wait for the file to be read and ads.txt to get written
+				await watcher.waitForPromises();
+				await watcher.waitForPromises();
+				await watcher.waitForPromises();
+
+				assertEquals(
+					getCurrentDestinationContent(),
+					`# This file was generated on *current time*
+
+# Read from /own/ads.txt
+example.com, 5678, DIRECT
+
+`,
+				);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Keeps the previous configuration running when the new configuration is invalid",
+	async fn() {
+		const destinationPath = "/ads.txt";
+		await basicTest({
+			destinationPath,
+			async fn({ watcher, configPath, udpateConfig, udpateDestination, getCurrentDestinationContent }) {
+				udpateConfig(
+					`
+destinaton: ${destinationPath}
+sources:
+  - https://example/ads2.txt`,
+					{
+						kind: "modify",
+						paths: [configPath],
+					},
+				);
+				await watcher.waitForPromises();
+
+				udpateDestination("replaced content", {
+					kind: "modify",
+					paths: [destinationPath],
+				});
+
+				// Wait for config to load
+				await watcher.waitForPromises();
+				// Wait for ads.txt to get written
+				await watcher.waitForPromises();
+				// Wait a third time, not sure why
+				await watcher.waitForPromises();
+
+				assertEquals(
+					getCurrentDestinationContent(),
+					`# This file was generated on *current time*
+
+# Fetched from https://example/ads1.txt
+content1
+
 `,
 				);
 			},
 		});
 	},
 });
+
+Deno.test({
+	name: "Notifies the webhooks of the previous configuration when the new configuration is invalid",
+	async fn() {
+		/** @type {import("../../src/webhooks.js").WebhookPayload[]} */
+		const payloads = [];
+		const fetchSpy = stub(globalThis, "fetch", async (_url, init) => {
+			payloads.push(JSON.parse(String(init?.body)));
+			return new Response("ok");
+		});
+		try {
+			await basicTest({
+				configContent: `
+destination: /ads.txt
+webhooks:
+  - url: https://hooks.example.com
+    events:
+      - config_reload_failed
+sources:
+  - https://example/ads1.txt
+`,
+				async fn({ watcher, configPath, udpateConfig }) {
+					udpateConfig("destinaton: /ads.txt\nsources: []", {
+						kind: "modify",
+						paths: [configPath],
+					});
+					await watcher.waitForPromises();
+					await watcher.waitForPromises();
+
+					assertEquals(payloads.length, 1);
+					assertEquals(payloads[0].event, "config_reload_failed");
+					assertEquals(payloads[0].destination, "/ads.txt");
+					assertEquals(
+						payloads[0].message,
+						`The configuration at /config.yml is invalid.
+/config.yml: The required key "destination" is missing.
+/config.yml:1: destinaton: Unknown key "destinaton".`,
+					);
+				},
+			});
+		} finally {
+			fetchSpy.restore();
+		}
+	},
+});
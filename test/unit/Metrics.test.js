@@ -0,0 +1,69 @@
+import { assertEquals, assertThrows } from "$std/testing/asserts.ts";
+import { Metrics } from "../../src/Metrics.js";
+
+/**
+ * Returns the lines of the serialized metrics that start with the name, excluding help and type comments.
+ * @param {Metrics} metrics
+ * @param {string} name
+ */
+function getMetricLines(metrics, name) {
+	return metrics.serialize().split("\n").filter((line) => line.startsWith(name));
+}
+
+Deno.test({
+	name: "Serializes counters and gauges",
+	fn() {
+		const metrics = new Metrics();
+		metrics.incrementCounter("adstxt_destination_writes_total", { destination: "/ads.txt" });
+		metrics.incrementCounter("adstxt_destination_writes_total", { destination: "/ads.txt" });
+		metrics.incrementCounter("adstxt_destination_writes_total", { destination: '/"quoted"\\ads.txt' });
+		metrics.setGauge("adstxt_destination_records", { destination: "/ads.txt" }, 5);
+		metrics.setGauge("adstxt_destination_records", { destination: "/ads.txt" }, 3);
+
+		assertEquals(getMetricLines(metrics, "adstxt_destination_writes_total"), [
+			'adstxt_destination_writes_total{destination="/ads.txt"} 2',
+			'adstxt_destination_writes_total{destination="/\\"quoted\\"\\\\ads.txt"} 1',
+		]);
+		assertEquals(getMetricLines(metrics, "adstxt_destination_records"), [
+			'adstxt_destination_records{destination="/ads.txt"} 3',
+		]);
+		assertEquals(metrics.serialize().includes("# TYPE adstxt_destination_writes_total counter\n"), true);
+
+		metrics.clearGauge("adstxt_destination_records");
+		assertEquals(getMetricLines(metrics, "adstxt_destination_records"), []);
+	},
+});
+
+Deno.test({
+	name: "Serializes histograms",
+	fn() {
+		const metrics = new Metrics();
+		const labels = { source: "https://example.com/ads.txt" };
+		metrics.observeHistogram("adstxt_source_fetch_duration_seconds", labels, 0.2);
+		metrics.observeHistogram("adstxt_source_fetch_duration_seconds", labels, 3);
+
+		const source = 'source="https://example.com/ads.txt"';
+		assertEquals(getMetricLines(metrics, "adstxt_source_fetch_duration_seconds"), [
+			`adstxt_source_fetch_duration_seconds_bucket{${source},le="0.1"} 0`,
+			`adstxt_source_fetch_duration_seconds_bucket{${source},le="0.25"} 1`,
+			`adstxt_source_fetch_duration_seconds_bucket{${source},le="0.5"} 1`,
+			`adstxt_source_fetch_duration_seconds_bucket{${source},le="1"} 1`,
+			`adstxt_source_fetch_duration_seconds_bucket{${source},le="2.5"} 1`,
+			`adstxt_source_fetch_duration_seconds_bucket{${source},le="5"} 2`,
+			`adstxt_source_fetch_duration_seconds_bucket{${source},le="10"} 2`,
+			`adstxt_source_fetch_duration_seconds_bucket{${source},le="30"} 2`,
+			`adstxt_source_fetch_duration_seconds_bucket{${source},le="+Inf"} 2`,
+			`adstxt_source_fetch_duration_seconds_sum{${source}} 3.2`,
+			`adstxt_source_fetch_duration_seconds_count{${source}} 2`,
+		]);
+	},
+});
+
+Deno.test({
+	name: "Throws for unknown metrics",
+	fn() {
+		const metrics = new Metrics();
+		assertThrows(() => metrics.incrementCounter("adstxt_unknown_total", {}));
+		assertThrows(() => metrics.setGauge("adstxt_destination_writes_total", {}, 1));
+	},
+});
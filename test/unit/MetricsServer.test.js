@@ -0,0 +1,104 @@
+import { assertEquals } from "$std/testing/asserts.ts";
+import { FakeTime } from "$std/testing/time.ts";
+import { Metrics } from "../../src/Metrics.js";
+import { MetricsServer } from "../../src/MetricsServer.js";
+
+/**
+ * @param {import("../../src/AdsTxtUpdater.js").SourceState[]} sourceStates
+ */
+function createMockUpdater(sourceStates) {
+	return /** @type {import("../../src/AdsTxtUpdater.js").AdsTxtUpdater} */ ({
+		absoluteDestinationPath: "/ads.txt",
+		sourceStates,
+	});
+}
+
+/**
+ * @param {Partial<import("../../src/AdsTxtUpdater.js").SourceState>} state
+ * @returns {import("../../src/AdsTxtUpdater.js").SourceState}
+ */
+function createSourceState(state) {
+	return {
+		name: "https://example.com/ads.txt",
+		required: true,
+		maxStaleMs: 60_000,
+		status: "fresh",
+		lastSuccessTime: 0,
+		...state,
+	};
+}
+
+/**
+ * @param {MetricsServer} server
+ * @param {string} path
+ */
+async function request(server, path) {
+	const response = server.handleRequest(new Request(`http://localhost:9100${path}`));
+	return { status: response.status, body: await response.text() };
+}
+
+Deno.test({
+	name: "Reports unhealthy when a required source exceeds its maximum staleness",
+	async fn() {
+		const time = new FakeTime(0);
+		try {
+			/** @type {import("../../src/AdsTxtUpdater.js").SourceState[]} */
+			const states = [
+				createSourceState({ status: null, lastSuccessTime: null }),
+				createSourceState({ name: "https://example.com/optional.txt", required: false, status: "failed" }),
+				createSourceState({ name: "https://example.com/cached.txt", status: "cached" }),
+			];
+			const server = new MetricsServer(new Metrics(), () => [createMockUpdater(states)]);
+
+			assertEquals(await request(server, "/healthz"), { status: 200, body: "ok\n" });
+
+			await time.tickAsync(61_000);
+			assertEquals(await request(server, "/healthz"), {
+				status: 503,
+				body: "https://example.com/cached.txt (/ads.txt) has not been loaded successfully for 61 seconds.\n",
+			});
+
+			states[0].status = "failed";
+			assertEquals(
+				(await request(server, "/healthz")).body.split("\n")[0],
+				"https://example.com/ads.txt (/ads.txt) failed to load and is not included.",
+			);
+		} finally {
+			time.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Exposes metrics including the staleness of sources",
+	async fn() {
+		const time = new FakeTime(10_000);
+		try {
+			const metrics = new Metrics();
+			metrics.incrementCounter("adstxt_destination_writes_total", { destination: "/ads.txt" });
+			const server = new MetricsServer(metrics, () => [
+				createMockUpdater([
+					createSourceState({ lastSuccessTime: 4_000 }),
+					createSourceState({
+						name: "https://example.com/never.txt",
+						status: "failed",
+						lastSuccessTime: null,
+					}),
+				]),
+			]);
+
+			const { status, body } = await request(server, "/metrics");
+			assertEquals(status, 200);
+			const lines = body.split("\n");
+			const labels = 'destination="/ads.txt",source="https://example.com/ads.txt"';
+			assertEquals(lines.includes(`adstxt_source_last_success_timestamp_seconds{${labels}} 4`), true);
+			assertEquals(lines.includes(`adstxt_source_staleness_seconds{${labels}} 6`), true);
+			assertEquals(lines.includes('adstxt_destination_writes_total{destination="/ads.txt"} 1'), true);
+			assertEquals(body.includes("never.txt"), false);
+
+			assertEquals((await request(server, "/other")).status, 404);
+		} finally {
+			time.restore();
+		}
+	},
+});
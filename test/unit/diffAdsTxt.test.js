@@ -0,0 +1,77 @@
+import { assertEquals } from "$std/testing/asserts.ts";
+import { parseAdsTxt, serializeAdsTxt } from "../../src/parseAdsTxt.js";
+import { diffAdsTxt, diffAdsTxtBySource, formatAdsTxtSourceDiffs } from "../../src/diffAdsTxt.js";
+
+Deno.test({
+	name: "Lists added and removed records",
+	fn() {
+		const oldRecords = parseAdsTxt(`# comment
+a.com, 1, DIRECT
+b.com, 1, DIRECT
+b.com, 1, DIRECT
+c.com, 1, RESELLER`);
+		const newRecords = parseAdsTxt(`A.com,1,direct
+c.com, 1, DIRECT
+d.com, 1, DIRECT`);
+
+		const diff = diffAdsTxt(oldRecords, newRecords);
+		assertEquals(serializeAdsTxt(diff.added), "c.com, 1, DIRECT\nd.com, 1, DIRECT");
+		assertEquals(serializeAdsTxt(diff.removed), "b.com, 1, DIRECT\nc.com, 1, RESELLER");
+		assertEquals(diff.oldCount, 3);
+	},
+});
+
+Deno.test({
+	name: "Groups added, removed and changed records by source",
+	fn() {
+		const oldRecords = parseAdsTxt(`# Fetched from https://example.com/ads1.txt
+a.com, 1, DIRECT
+b.com, 1, DIRECT
+c.com, 1, RESELLER, abc
+
+# Read from /path/to/own.txt
+d.com, 1, DIRECT
+
+# Fetched from https://example.com/removed.txt
+e.com, 1, DIRECT`);
+		const newRecords = parseAdsTxt(`# Fetched from https://example.com/ads1.txt
+a.com, 1, DIRECT
+c.com, 1, RESELLER, def
+f.com, 1, DIRECT
+
+# Read from /path/to/own.txt
+d.com, 1, RESELLER`);
+
+		const diffs = diffAdsTxtBySource(oldRecords, newRecords);
+		assertEquals(diffs.map((diff) => diff.source), [
+			"https://example.com/ads1.txt",
+			"/path/to/own.txt",
+			"https://example.com/removed.txt",
+		]);
+		assertEquals(formatAdsTxtSourceDiffs(diffs), [
+			"  https://example.com/ads1.txt",
+			"    + f.com, 1, DIRECT",
+			"    - b.com, 1, DIRECT",
+			"    ~ c.com, 1, RESELLER, abc -> c.com, 1, RESELLER, def",
+			"  /path/to/own.txt",
+			"    ~ d.com, 1, DIRECT -> d.com, 1, RESELLER",
+			"  https://example.com/removed.txt",
+			"    - e.com, 1, DIRECT",
+		]);
+	},
+});
+
+Deno.test({
+	name: "Records without a source header are grouped together",
+	fn() {
+		const diffs = diffAdsTxtBySource(
+			parseAdsTxt("# Combined from:\n# - https://example.com/ads1.txt\na.com, 1, DIRECT"),
+			parseAdsTxt("# Combined from:\n# - https://example.com/ads1.txt\nb.com, 1, DIRECT"),
+		);
+		assertEquals(formatAdsTxtSourceDiffs(diffs), [
+			"  Records without a source",
+			"    + b.com, 1, DIRECT",
+			"    - a.com, 1, DIRECT",
+		]);
+	},
+});
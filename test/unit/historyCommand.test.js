@@ -0,0 +1,86 @@
+import { assertEquals } from "$std/testing/asserts.ts";
+import { stub } from "$std/testing/mock.ts";
+import { historyCommand } from "../../src/historyCommand.js";
+import { AdsTxtHistory } from "../../src/AdsTxtHistory.js";
+import { mockDate, stubFsCalls } from "./shared.js";
+
+/**
+ * @param {(ctx: {fileContents: Map<string, string>, history: AdsTxtHistory, logs: string[]}) => Promise<void>} fn
+ */
+async function basicTest(fn) {
+	const { fileContents, restore } = stubFsCalls();
+	const mockedDate = mockDate();
+	/** @type {string[]} */
+	const logs = [];
+	const logSpy = stub(console, "log", (...args) => {
+		logs.push(args.join(" "));
+	});
+	try {
+		fileContents.set(
+			"/config.yml",
+			`
+destination: /ads.txt
+history:
+  directory: /history
+sources:
+  - https://example/ads1.txt
+`,
+		);
+		fileContents.set(
+			"/ads.txt",
+			"# This file was generated on *current time*\n\na.com, 1, DIRECT\nc.com, 1, DIRECT",
+		);
+		const history = new AdsTxtHistory("/history", "/ads.txt", 10);
+		await fn({ fileContents, history, logs });
+	} finally {
+		logSpy.restore();
+		mockedDate.restore();
+		restore();
+	}
+}
+
+Deno.test({
+	name: "history diff lists added and removed records",
+	async fn() {
+		await basicTest(async ({ history, logs }) => {
+			const { version } = await history.save("a.com, 1, DIRECT\nb.com, 1, DIRECT", []);
+
+			assertEquals(await historyCommand(["diff", "/config.yml", "/ads.txt", version]), 0);
+			assertEquals(logs, ["- b.com, 1, DIRECT", "+ c.com, 1, DIRECT"]);
+		});
+	},
+});
+
+Deno.test({
+	name: "history restore writes and pins the version until it is released",
+	async fn() {
+		await basicTest(async ({ fileContents, history }) => {
+			const { version } = await history.save("a.com, 1, DIRECT\nb.com, 1, DIRECT", []);
+
+			assertEquals(await historyCommand(["restore", "/config.yml", "/ads.txt", version]), 0);
+			assertEquals(
+				fileContents.get("/ads.txt"),
+				`# This file was restored from version ${version} on *current time*\n\na.com, 1, DIRECT\nb.com, 1, DIRECT`,
+			);
+			assertEquals((await history.getPinned())?.version, version);
+
+			assertEquals(await historyCommand(["release", "/config.yml", "/ads.txt"]), 0);
+			assertEquals(await history.getPinned(), null);
+		});
+	},
+});
+
+Deno.test({
+	name: "history fails for unknown destinations and versions",
+	async fn() {
+		await basicTest(async () => {
+			const errorSpy = stub(console, "error", () => {});
+			try {
+				assertEquals(await historyCommand(["list", "/config.yml", "/other.txt"]), 1);
+				assertEquals(await historyCommand(["restore", "/config.yml", "/ads.txt", "missing"]), 1);
+			} finally {
+				errorSpy.restore();
+			}
+		});
+	},
+});
@@ -0,0 +1,132 @@
+import { assertEquals } from "$std/testing/asserts.ts";
+import { parseAdsTxt, serializeAdsTxt } from "../../src/parseAdsTxt.js";
+import { dedupeAdsTxtSources, formatAdsTxtConflict, resolveAdsTxtConflicts } from "../../src/mergeAdsTxt.js";
+
+/**
+ * @param {Object<string, string>} contents
+ */
+function createSources(contents) {
+	return Object.entries(contents).map(([url, content]) => ({
+		url,
+		records: parseAdsTxt(content),
+	}));
+}
+
+/**
+ * @param {import("../../src/mergeAdsTxt.js").AdsTxtSourceRecords[]} sources
+ */
+function serializeSources(sources) {
+	/** @type {Object<string, string>} */
+	const result = {};
+	for (const source of sources) {
+		result[source.url] = serializeAdsTxt(source.records);
+	}
+	return result;
+}
+
+Deno.test({
+	name: "dedupe keeps the first occurrence",
+	fn() {
+		const sources = createSources({
+			"https://example/ads1.txt": `# comment
+domain.com, 1234, RESELLER
+domain.com, 1234, RESELLER
+other.com, 1234, DIRECT`,
+			"https://example/ads2.txt": `# comment
+Domain.COM,1234,reseller
+domain.com, 1234, DIRECT
+domain.com, 5678, RESELLER`,
+		});
+
+		const result = dedupeAdsTxtSources(sources);
+
+		assertEquals(serializeSources(result), {
+			"https://example/ads1.txt": `# comment
+domain.com, 1234, RESELLER
+other.com, 1234, DIRECT`,
+			"https://example/ads2.txt": `# comment
+domain.com, 1234, DIRECT
+domain.com, 5678, RESELLER`,
+		});
+	},
+});
+
+Deno.test({
+	name: "dedupe annotates other sources",
+	fn() {
+		const sources = createSources({
+			"https://example/ads1.txt": `domain.com, 1234, RESELLER # comment
+other.com, 1234, DIRECT`,
+			"https://example/ads2.txt": `domain.com, 1234, RESELLER`,
+			"https://example/ads3.txt": `domain.com, 1234, RESELLER
+domain.com, 1234, RESELLER`,
+		});
+
+		const result = dedupeAdsTxtSources(sources, { annotate_sources: true });
+
+		assertEquals(serializeSources(result), {
+			"https://example/ads1.txt":
+				`domain.com, 1234, RESELLER # comment - Also listed in https://example/ads2.txt, https://example/ads3.txt
+other.com, 1234, DIRECT`,
+			"https://example/ads2.txt": "",
+			"https://example/ads3.txt": "",
+		});
+	},
+});
+
+const conflictingSources = {
+	"https://example/ads1.txt": `domain.com, 1234, RESELLER
+domain.com, 5678, DIRECT, abc
+other.com, 1234, DIRECT`,
+	"https://example/ads2.txt": `domain.com, 1234, DIRECT
+domain.com, 5678, DIRECT, def
+domain.com, 5678, DIRECT
+other.com, 1234, DIRECT, abc`,
+};
+
+Deno.test({
+	name: "conflicts are kept by default",
+	fn() {
+		const { sources, conflicts } = resolveAdsTxtConflicts(createSources(conflictingSources));
+
+		assertEquals(serializeSources(sources), conflictingSources);
+		assertEquals(conflicts.map((conflict) => formatAdsTxtConflict(conflict)), [
+			"domain.com, 1234: RESELLER in https://example/ads1.txt, DIRECT in https://example/ads2.txt",
+			"domain.com, 5678: DIRECT, abc in https://example/ads1.txt, DIRECT, def in https://example/ads2.txt, DIRECT in https://example/ads2.txt",
+		]);
+	},
+});
+
+Deno.test({
+	name: "conflicts with prefer_direct",
+	fn() {
+		const { sources, conflicts } = resolveAdsTxtConflicts(createSources(conflictingSources), "prefer_direct");
+
+		assertEquals(serializeSources(sources), {
+			"https://example/ads1.txt": `domain.com, 5678, DIRECT, abc
+other.com, 1234, DIRECT`,
+			"https://example/ads2.txt": `domain.com, 1234, DIRECT
+domain.com, 5678, DIRECT
+other.com, 1234, DIRECT, abc`,
+		});
+		assertEquals(conflicts.map((conflict) => formatAdsTxtConflict(conflict)), [
+			"domain.com, 1234: RESELLER in https://example/ads1.txt (removed), DIRECT in https://example/ads2.txt",
+			"domain.com, 5678: DIRECT, abc in https://example/ads1.txt, DIRECT, def in https://example/ads2.txt (removed), DIRECT in https://example/ads2.txt",
+		]);
+	},
+});
+
+Deno.test({
+	name: "conflicts with prefer_first",
+	fn() {
+		const { sources } = resolveAdsTxtConflicts(createSources(conflictingSources), "prefer_first");
+
+		assertEquals(serializeSources(sources), {
+			"https://example/ads1.txt": `domain.com, 1234, RESELLER
+domain.com, 5678, DIRECT, abc
+other.com, 1234, DIRECT`,
+			"https://example/ads2.txt": `domain.com, 5678, DIRECT
+other.com, 1234, DIRECT, abc`,
+		});
+	},
+});
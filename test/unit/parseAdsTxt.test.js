@@ -0,0 +1,127 @@
+import { assertEquals } from "$std/testing/asserts.ts";
+import { createComment, parseAdsTxt, serializeAdsTxt } from "../../src/parseAdsTxt.js";
+
+Deno.test({
+	name: "Parses all record types",
+	fn() {
+		const records = parseAdsTxt(`# comment
+
+OWNERDOMAIN=example.com
+CONTACT = contact@example.com # inline
+domain.com, 1234, DIRECT
+domain.com,5678,RESELLER,123456789abcdef1 # inline comment
+domain.com, 1234, DIRECT, abc;extension data
+invalid line
+a, b, c, d, e`);
+
+		assertEquals(records, [
+			{ type: "comment", comment: "comment", lineNumber: 1, raw: "# comment" },
+			{ type: "empty", lineNumber: 2, raw: "" },
+			{
+				type: "variable",
+				key: "OWNERDOMAIN",
+				value: "example.com",
+				lineNumber: 3,
+				raw: "OWNERDOMAIN=example.com",
+			},
+			{
+				type: "variable",
+				key: "CONTACT",
+				value: "contact@example.com",
+				comment: "inline",
+				lineNumber: 4,
+				raw: "CONTACT = contact@example.com # inline",
+			},
+			{
+				type: "data",
+				domain: "domain.com",
+				publisherId: "1234",
+				relationship: "DIRECT",
+				lineNumber: 5,
+				raw: "domain.com, 1234, DIRECT",
+			},
+			{
+				type: "data",
+				domain: "domain.com",
+				publisherId: "5678",
+				relationship: "RESELLER",
+				certificationAuthorityId: "123456789abcdef1",
+				comment: "inline comment",
+				lineNumber: 6,
+				raw: "domain.com,5678,RESELLER,123456789abcdef1 # inline comment",
+			},
+			{
+				type: "data",
+				domain: "domain.com",
+				publisherId: "1234",
+				relationship: "DIRECT",
+				certificationAuthorityId: "abc",
+				extension: "extension data",
+				lineNumber: 7,
+				raw: "domain.com, 1234, DIRECT, abc;extension data",
+			},
+			{
+				type: "invalid",
+				reason: "Expected at least 3 comma separated fields but found 1.",
+				lineNumber: 8,
+				raw: "invalid line",
+			},
+			{
+				type: "invalid",
+				reason: "Expected at most 4 comma separated fields but found 5.",
+				lineNumber: 9,
+				raw: "a, b, c, d, e",
+			},
+		]);
+	},
+});
+
+Deno.test({
+	name: "Serializing parsed content results in the same content",
+	fn() {
+		const contents = [
+			"",
+			"\n\n",
+			"# comment\n",
+			"VARIABLE=value\r\ndomain.com, 1234, RESELLER\r\n",
+			"  domain.com,1234,RESELLER,123456789abcdef1  ",
+			"invalid",
+		];
+
+		for (const content of contents) {
+			assertEquals(serializeAdsTxt(parseAdsTxt(content)), content);
+		}
+	},
+});
+
+Deno.test({
+	name: "Serializes records without an original line",
+	fn() {
+		const content = serializeAdsTxt([
+			createComment("comment"),
+			createComment(""),
+			{ type: "empty" },
+			{ type: "variable", key: "CONTACT", value: "contact@example.com" },
+			{ type: "data", domain: "domain.com", publisherId: "1234", relationship: "DIRECT" },
+			{
+				type: "data",
+				domain: "domain.com",
+				publisherId: "1234",
+				relationship: "RESELLER",
+				certificationAuthorityId: "abc",
+				extension: "ext",
+				comment: "inline",
+			},
+		]);
+
+		assertEquals(
+			content,
+			`# comment
+#
+
+CONTACT=contact@example.com
+domain.com, 1234, DIRECT
+domain.com, 1234, RESELLER, abc;ext # inline`,
+		);
+	},
+});
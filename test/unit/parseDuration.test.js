@@ -0,0 +1,18 @@
+import { assertEquals } from "$std/testing/asserts.ts";
+import { parseDuration } from "../../src/parseDuration.js";
+
+Deno.test({
+	name: "Parses durations",
+	fn() {
+		assertEquals(parseDuration("3s"), 3_000);
+		assertEquals(parseDuration("2m"), 2 * 60 * 1000);
+		assertEquals(parseDuration("2h"), 2 * 60 * 60 * 1000);
+		assertEquals(parseDuration("2d"), 2 * 24 * 60 * 60 * 1000);
+		assertEquals(parseDuration(""), null);
+		assertEquals(parseDuration("5"), null);
+		assertEquals(parseDuration("5w"), null);
+		assertEquals(parseDuration(" 5s "), 5_000);
+		assertEquals(parseDuration("1h30m"), null);
+		assertEquals(parseDuration("abc5sxyz"), null);
+	},
+});
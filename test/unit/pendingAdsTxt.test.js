@@ -0,0 +1,50 @@
+import { assertEquals } from "$std/testing/asserts.ts";
+import { confirmPendingAdsTxt, getPendingAdsTxtPath } from "../../src/pendingAdsTxt.js";
+import { stubFsCalls } from "./shared.js";
+
+/** @type {import("../../src/AdsTxtUpdater.js").AdsTxtConfig} */
+const config = {
+	destination: "/var/www/ads.txt",
+	sources: [],
+	shrink_protection: {
+		require_confirmation: true,
+		pending_directory: "pending",
+	},
+};
+
+Deno.test({
+	name: "Stores pending files outside the directory of the destination",
+	fn() {
+		assertEquals(getPendingAdsTxtPath("/etc/config.yml", config), "/etc/pending/%2Fvar%2Fwww%2Fads.txt.pending");
+		assertEquals(
+			getPendingAdsTxtPath("/etc/config.yml", { ...config, shrink_protection: true }),
+			"/etc/%2Fvar%2Fwww%2Fads.txt.pending",
+		);
+	},
+});
+
+Deno.test({
+	name: "Writes the pending file to the destination",
+	async fn() {
+		const { fileContents, restore } = stubFsCalls();
+		fileContents.set("/etc/pending/%2Fvar%2Fwww%2Fads.txt.pending", "new content");
+		try {
+			assertEquals(await confirmPendingAdsTxt("/etc/config.yml", config), true);
+			assertEquals(Array.from(fileContents), [["/var/www/ads.txt", "new content"]]);
+		} finally {
+			restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Returns false when there is no pending file",
+	async fn() {
+		const { restore } = stubFsCalls();
+		try {
+			assertEquals(await confirmPendingAdsTxt("/etc/config.yml", config), false);
+		} finally {
+			restore();
+		}
+	},
+});
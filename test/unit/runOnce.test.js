@@ -0,0 +1,132 @@
+import { assertEquals } from "$std/testing/asserts.ts";
+import { assertSpyCalls, spy } from "$std/testing/mock.ts";
+import { mockEnsureDir } from "../../src/AdsTxtUpdater.js";
+import { EXIT_FAILED, EXIT_STALE, EXIT_SUCCESS, runOnce } from "../../src/runOnce.js";
+import { createMockAdsTxtCache, mockDate, stubFsCalls } from "./shared.js";
+
+mockEnsureDir();
+
+/**
+ * @param {Object} options
+ * @param {Object<string, string>} options.files
+ * @param {Map<string, import("../../src/AdsTxtCache.js").FetchAdsTxtResult>} [options.fetchAdsTxtResults]
+ * @param {(ctx: {fileContents: Map<string, string>, exitCode: number}) => void} options.fn
+ */
+async function basicTest({ files, fetchAdsTxtResults, fn }) {
+	const mockedDate = mockDate();
+	const { fileContents, restore } = stubFsCalls();
+	for (const [path, content] of Object.entries(files)) {
+		fileContents.set(path, content);
+	}
+	const { mockCache } = createMockAdsTxtCache(fetchAdsTxtResults);
+	const watchFsSpy = spy(Deno, "watchFs");
+	try {
+		const exitCode = await runOnce(Object.keys(files).filter((path) => path.endsWith(".yml")), mockCache);
+		assertSpyCalls(watchFsSpy, 0);
+		fn({ fileContents, exitCode });
+	} finally {
+		watchFsSpy.restore();
+		mockedDate.restore();
+		restore();
+	}
+}
+
+Deno.test({
+	name: "Updates every destination once and exits with success",
+	async fn() {
+		await basicTest({
+			files: {
+				"/config1.yml": `
+- destination: /ads.txt
+  sources:
+    - https://example/ads1.txt
+- destination: /app-ads.txt
+  sources:
+    - https://example/ads2.txt
+`,
+				"/config2.yml": `
+destination: /other/ads.txt
+sources:
+  - https://example/ads1.txt
+`,
+			},
+			fn({ fileContents, exitCode }) {
+				assertEquals(exitCode, EXIT_SUCCESS);
+				assertEquals(
+					fileContents.get("/app-ads.txt"),
+					`# This file was generated on *current time*
+
+# Fetched from https://example/ads2.txt
+content2
+
+`,
+				);
+				assertEquals(fileContents.has("/ads.txt"), true);
+				assertEquals(fileContents.has("/other/ads.txt"), true);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Exits with the stale exit code when cached content was used",
+	async fn() {
+		await basicTest({
+			files: {
+				"/config.yml": `
+destination: /ads.txt
+sources:
+  - https://example/ads1.txt
+`,
+			},
+			fetchAdsTxtResults: new Map([["https://example/ads1.txt", { content: "content1", fresh: false }]]),
+			fn({ exitCode }) {
+				assertEquals(exitCode, EXIT_STALE);
+			},
+		});
+	},
+});
+
+Deno.test({
+	name: "Exits with the failed exit code when a source or configuration fails",
+	async fn() {
+		await basicTest({
+			files: {
+				"/config.yml": `
+- destination: /ads.txt
+  sources:
+    - https://example/ads1.txt
+- destination: /stale.txt
+  sources:
+    - https://example/stale.txt
+- destination: /missing.txt
+  sources:
+    - https://example/missing.txt
+`,
+			},
+			fetchAdsTxtResults: new Map([
+				["https://example/ads1.txt", { content: "content1", fresh: true }],
+				["https://example/stale.txt", { content: "content1", fresh: false }],
+			]),
+			fn({ fileContents, exitCode }) {
+				assertEquals(exitCode, EXIT_FAILED);
+				assertEquals(fileContents.has("/ads.txt"), true);
+			},
+		});
+
+		await basicTest({
+			files: {
+				"/valid.yml": `
+destination: /ads.txt
+sources:
+  - https://example/ads1.txt
+`,
+				"/invalid.yml": "destinaton: /ads.txt",
+			},
+			fn({ fileContents, exitCode }) {
+				assertEquals(exitCode, EXIT_FAILED);
+				assertEquals(fileContents.has("/ads.txt"), true);
+			},
+		});
+	},
+});
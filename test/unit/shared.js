@@ -18,8 +18,12 @@ export function createMockAdsTxtCache(fetchResults) {
 	}
 
 	const fetchResultsCertain = fetchResults;
+	/** @type {Parameters<import("../../src/AdsTxtCache.js").AdsTxtCache["fetchAdsTxt"]>[]} */
+	const fetchCalls = [];
 	const mockCache = /** @type {import("../../src/AdsTxtCache.js").AdsTxtCache} */ ({
-		fetchAdsTxt(url, _durationSeconds) {
+		fetchAdsTxt(...args) {
+			fetchCalls.push(args);
+			const [url] = args;
 			const result = fetchResultsCertain.get(url);
 			if (!result) {
 				throw new Error(`Failed to fetch "${url}" and no existing content was found in the cache.`);
@@ -28,12 +32,17 @@ export function createMockAdsTxtCache(fetchResults) {
 		},
 	});
 
-	return { mockCache, fetchResults: fetchResultsCertain };
+	return { mockCache, fetchResults: fetchResultsCertain, fetchCalls };
 }
 
 export function stubFsCalls() {
 	/** @type {Map<string, string>} */
 	const fileContents = new Map();
+	/**
+	 * Directories in which writing files fails.
+	 * @type {Set<string>}
+	 */
+	const readOnlyDirectories = new Set();
 	const readTextFileSpy = stub(Deno, "readTextFile", async (path) => {
 		if (typeof path != "string") {
 			throw new Error("Only string paths are supported");
@@ -45,16 +54,77 @@ export function stubFsCalls() {
 		throw new Deno.errors.NotFound(`Path at ${path} does not exist`);
 	});
 
-	const writeTextFileSpy = stub(Deno, "writeTextFile", async (path, content) => {
+	const writeTextFileSpy = stub(Deno, "writeTextFile", async (path, content, options) => {
 		if (typeof path != "string") {
 			throw new Error("Only string paths are supported");
 		}
 		if (typeof content != "string") {
 			throw new AssertionError("Writing a ReadableStream is not supported in this test");
 		}
+		if (readOnlyDirectories.has(path.slice(0, path.lastIndexOf("/")) || "/")) {
+			throw new Deno.errors.PermissionDenied(`Permission denied, cannot write ${path}`);
+		}
+		if (options?.append) {
+			content = (fileContents.get(path) || "") + content;
+		}
 		fileContents.set(path, content);
 	});
 
+	const mkdirSpy = stub(Deno, "mkdir", async () => {});
+
+	const statSpy = stub(Deno, "stat", async (path) => {
+		if (typeof path != "string") {
+			throw new Error("Only string paths are supported");
+		}
+		if (!fileContents.has(path)) {
+			throw new Deno.errors.NotFound(`Path at ${path} does not exist`);
+		}
+		// Permissions and ownership are not available, similar to Windows.
+		return /** @type {Deno.FileInfo} */ ({ isFile: true, mode: null, uid: null, gid: null });
+	});
+
+	const renameSpy = stub(Deno, "rename", async (oldPath, newPath) => {
+		if (typeof oldPath != "string" || typeof newPath != "string") {
+			throw new Error("Only string paths are supported");
+		}
+		const content = fileContents.get(oldPath);
+		if (content === undefined) {
+			throw new Deno.errors.NotFound(`Path at ${oldPath} does not exist`);
+		}
+		fileContents.delete(oldPath);
+		fileContents.set(newPath, content);
+	});
+
+	const removeSpy = stub(Deno, "remove", async (path) => {
+		if (typeof path != "string") {
+			throw new Error("Only string paths are supported");
+		}
+		if (!fileContents.delete(path)) {
+			throw new Deno.errors.NotFound(`Path at ${path} does not exist`);
+		}
+	});
+
+	const readDirSpy = stub(Deno, "readDir", (path) => {
+		if (typeof path != "string") {
+			throw new Error("Only string paths are supported");
+		}
+		const prefix = path.endsWith("/") ? path : path + "/";
+		/** @type {Deno.DirEntry[]} */
+		const entries = [];
+		for (const filePath of fileContents.keys()) {
+			if (!filePath.startsWith(prefix)) continue;
+			const name = filePath.slice(prefix.length);
+			if (name.includes("/")) continue;
+			entries.push({ name, isFile: true, isDirectory: false, isSymlink: false });
+		}
+		return (async function* () {
+			if (entries.length == 0) {
+				throw new Deno.errors.NotFound(`Path at ${path} does not exist`);
+			}
+			yield* entries;
+		})();
+	});
+
 	/** @type {Map<string, Set<(e: Deno.FsEvent) => void>>} */
 	const watchEventCbs = new Map();
 	const watchFsSpy = stub(Deno, "watchFs", (path) => {
@@ -99,6 +169,7 @@ export function stubFsCalls() {
 	return {
 		readTextFileSpy,
 		fileContents,
+		readOnlyDirectories,
 		/**
 		 * @param {string} path
 		 * @param {string?} content
@@ -121,6 +192,11 @@ export function stubFsCalls() {
 		restore() {
 			readTextFileSpy.restore();
 			writeTextFileSpy.restore();
+			mkdirSpy.restore();
+			statSpy.restore();
+			renameSpy.restore();
+			removeSpy.restore();
+			readDirSpy.restore();
 			watchFsSpy.restore();
 		},
 	};
@@ -0,0 +1,68 @@
+import { assertEquals } from "$std/testing/asserts.ts";
+import { parseAdsTxt, parseAdsTxtLine, serializeAdsTxt } from "../../src/parseAdsTxt.js";
+import { groupAdsTxtRecordsByRelationship, sortAdsTxtRecords } from "../../src/sortAdsTxt.js";
+import { commentOutInvalidRecord } from "../../src/validateAdsTxt.js";
+
+Deno.test({
+	name: "Sorts records by domain and account ID",
+	fn() {
+		const records = parseAdsTxt(`# comment
+b.com, 10, DIRECT
+A.com, 2, RESELLER
+
+invalid line
+CONTACT=ads@example.com
+b.com, 2, DIRECT
+a.com, 10, DIRECT`);
+
+		assertEquals(
+			serializeAdsTxt(sortAdsTxtRecords(records)),
+			`CONTACT=ads@example.com
+A.com, 2, RESELLER
+a.com, 10, DIRECT
+b.com, 2, DIRECT
+b.com, 10, DIRECT
+invalid line`,
+		);
+	},
+});
+
+Deno.test({
+	name: "Keeps commented out invalid lines after the sorted records",
+	fn() {
+		const records = parseAdsTxt(`# vendor comment
+# d.com, 1, PARTNER # Invalid: written by hand
+b.com, 1, DIRECT
+a.com, 1, DIRECT`);
+		records.splice(1, 0, commentOutInvalidRecord(parseAdsTxtLine("c.com, 1, PARTNER"), "Not DIRECT or RESELLER."));
+
+		assertEquals(
+			serializeAdsTxt(sortAdsTxtRecords(records)),
+			`a.com, 1, DIRECT
+b.com, 1, DIRECT
+# c.com, 1, PARTNER # Invalid: Not DIRECT or RESELLER.`,
+		);
+	},
+});
+
+Deno.test({
+	name: "Groups records by relationship",
+	fn() {
+		const records = parseAdsTxt(`b.com, 1, RESELLER
+CONTACT=ads@example.com
+c.com, 1, direct
+a.com, 1, DIRECT
+a.com, 1, PARTNER`);
+
+		const groups = groupAdsTxtRecordsByRelationship(records);
+		assertEquals(
+			Array.from(groups, ([relationship, group]) => [relationship, serializeAdsTxt(group)]),
+			[
+				["", "CONTACT=ads@example.com"],
+				["DIRECT", "a.com, 1, DIRECT\nc.com, 1, direct"],
+				["RESELLER", "b.com, 1, RESELLER"],
+				["PARTNER", "a.com, 1, PARTNER"],
+			],
+		);
+	},
+});
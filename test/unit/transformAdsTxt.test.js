@@ -1,5 +1,14 @@
 import { assertEquals } from "$std/testing/asserts.ts";
 import { transformAdsTxt } from "../../src/transformAdsTxt.js";
+import { parseAdsTxt, serializeAdsTxt } from "../../src/parseAdsTxt.js";
+
+/**
+ * @param {string} content
+ * @param {import("../../src/transformAdsTxt.js").TransformAdsTxtOptions} [options]
+ */
+function transformAdsTxtString(content, options) {
+	return serializeAdsTxt(transformAdsTxt(parseAdsTxt(content), options));
+}
 
 Deno.test({
 	name: "Empty options object shouldn't make any changes",
@@ -25,7 +34,7 @@ domain.com, 1234, RESELLER, 123456789abcdef1
 		];
 
 		for (const content of contents) {
-			const newContent = transformAdsTxt(content);
+			const newContent = transformAdsTxtString(content);
 			assertEquals(newContent, content);
 		}
 	},
@@ -34,7 +43,7 @@ domain.com, 1234, RESELLER, 123456789abcdef1
 Deno.test({
 	name: "strip all variables",
 	fn() {
-		const content = transformAdsTxt(
+		const content = transformAdsTxtString(
 			`
 # comment
 #comment
@@ -68,7 +77,7 @@ domain.com, 1234, RESELLER, 123456789abcdef1
 Deno.test({
 	name: "strip specific variables",
 	fn() {
-		const content = transformAdsTxt(
+		const content = transformAdsTxtString(
 			`
 # comment
 #comment
@@ -99,3 +108,156 @@ domain.com, 1234, RESELLER, 123456789abcdef1
 		);
 	},
 });
+
+Deno.test({
+	name: "include and exclude domains",
+	fn() {
+		const content = `# comment
+CONTACT=ads@example.com
+google.com, 1234, DIRECT
+ads.google.com, 1234, RESELLER
+Example.com, 5678, DIRECT
+other.example.com, 5678, DIRECT
+notexample.com, 5678, DIRECT`;
+
+		assertEquals(
+			transformAdsTxtString(content, {
+				include_domains: ["*.google.com", "example.com"],
+			}),
+			`# comment
+CONTACT=ads@example.com
+ads.google.com, 1234, RESELLER
+Example.com, 5678, DIRECT`,
+		);
+
+		assertEquals(
+			transformAdsTxtString(content, {
+				exclude_domains: ["*.example.com", "google.com"],
+			}),
+			`# comment
+CONTACT=ads@example.com
+ads.google.com, 1234, RESELLER
+Example.com, 5678, DIRECT
+notexample.com, 5678, DIRECT`,
+		);
+
+		assertEquals(
+			transformAdsTxtString(content, {
+				include_domains: ["*.example.com", "example.com"],
+				exclude_domains: ["other.example.com"],
+			}),
+			`# comment
+CONTACT=ads@example.com
+Example.com, 5678, DIRECT`,
+		);
+	},
+});
+
+Deno.test({
+	name: "filter by relationship, account ID and certification authority ID",
+	fn() {
+		const content = `domain.com, 1234, DIRECT, abc
+domain.com, 5678, RESELLER, abc
+other.com, 1234, direct, ABC
+other.com, 9999, DIRECT
+CONTACT=ads@example.com`;
+
+		/** @type {Map<import("../../src/transformAdsTxt.js").RecordFilterOption, number>} */
+		const removedCounts = new Map();
+		assertEquals(
+			serializeAdsTxt(transformAdsTxt(parseAdsTxt(content), {
+				include_relationships: ["DIRECT"],
+				exclude_account_ids: ["9999", "1111"],
+				include_certification_authority_ids: ["abc"],
+			}, removedCounts)),
+			`domain.com, 1234, DIRECT, abc
+other.com, 1234, direct, ABC
+CONTACT=ads@example.com`,
+		);
+		assertEquals(
+			removedCounts,
+			new Map([
+				["include_relationships", 1],
+				["exclude_account_ids", 1],
+				["include_certification_authority_ids", 0],
+			]),
+		);
+
+		assertEquals(
+			transformAdsTxtString(content, {
+				exclude_relationships: ["reseller"],
+				include_account_ids: ["1234", "5678"],
+				exclude_certification_authority_ids: ["ABC"],
+			}),
+			`CONTACT=ads@example.com`,
+		);
+	},
+});
+
+Deno.test({
+	name: "filter by numeric account IDs",
+	fn() {
+		const content = `domain.com, 1234, DIRECT
+domain.com, 5678, DIRECT
+other.com, 01234, DIRECT`;
+
+		assertEquals(
+			transformAdsTxtString(content, { include_account_ids: [1234] }),
+			`domain.com, 1234, DIRECT`,
+		);
+		assertEquals(
+			transformAdsTxtString(content, { exclude_account_ids: [5678, "01234"] }),
+			`domain.com, 1234, DIRECT`,
+		);
+	},
+});
+
+Deno.test({
+	name: "rewrite lines",
+	fn() {
+		const content = `# Contact old-exchange.com for details
+old-exchange.com, 1234, direct
+sub.old-exchange.com, 5678, RESELLER
+CONTACT=old-exchange.com`;
+
+		assertEquals(
+			transformAdsTxtString(content, {
+				rewrite: [
+					{ pattern: "^(sub\\.)?old-exchange\\.com,", replacement: "$1new-exchange.com,", apply_to: "data" },
+					{ pattern: ", DIRECT", replacement: ", DIRECT", ignore_case: true },
+					{ pattern: "details", replacement: "more information", apply_to: "comments" },
+				],
+				exclude_domains: ["new-exchange.com"],
+			}),
+			`# Contact old-exchange.com for more information
+sub.new-exchange.com, 5678, RESELLER
+CONTACT=old-exchange.com`,
+		);
+	},
+});
+
+Deno.test({
+	name: "normalize",
+	fn() {
+		const content = [
+			"\uFEFF#comment\r",
+			"Example.COM ,1234 ,direct,abc ;ext \r",
+			"bücher.example,5678,Reseller",
+			"contact = ads@example.com # inline",
+			"\r",
+			"invalid line \r",
+		].join("\n");
+
+		assertEquals(
+			transformAdsTxtString(content, { normalize: true }),
+			[
+				"# comment",
+				"example.com, 1234, DIRECT, abc;ext",
+				"xn--bcher-kva.example, 5678, RESELLER",
+				"CONTACT=ads@example.com # inline",
+				"",
+				"invalid line",
+			].join("\n"),
+		);
+	},
+});
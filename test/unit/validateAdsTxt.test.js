@@ -0,0 +1,60 @@
+import { assertEquals } from "$std/testing/asserts.ts";
+import { parseAdsTxt } from "../../src/parseAdsTxt.js";
+import { isValidDomain, validateAdsTxt } from "../../src/validateAdsTxt.js";
+
+Deno.test({
+	name: "Valid content has no problems",
+	fn() {
+		const records = parseAdsTxt(`# comment
+
+OWNERDOMAIN=example.com
+MANAGERDOMAIN=manager.example.com,US
+contact=contact@example.com
+domain.com, 1234, DIRECT
+sub.domain.com,5678,reseller,123456789abcdef1
+domain.com, 1234, DIRECT, abc;extension data`);
+
+		assertEquals(validateAdsTxt(records), []);
+	},
+});
+
+Deno.test({
+	name: "Reports invalid lines",
+	fn() {
+		const content = `domain.com, 1234
+domain.com, 1234, PARTNER
+not_a_domain, 1234, DIRECT
+domain.com, , DIRECT
+UNKNOWN=value
+OWNERDOMAIN=not a domain
+MANAGERDOMAIN=example.com,USA
+CONTACT=`;
+		const problems = validateAdsTxt(parseAdsTxt(content));
+		const reasons = problems.map(({ record, reason }) => ({ lineNumber: record.lineNumber, reason }));
+
+		assertEquals(reasons, [
+			{ lineNumber: 1, reason: "Expected at least 3 comma separated fields but found 2." },
+			{ lineNumber: 2, reason: 'The relationship must be DIRECT or RESELLER, but found "PARTNER".' },
+			{ lineNumber: 3, reason: '"not_a_domain" is not a valid domain.' },
+			{ lineNumber: 4, reason: "The publisher account ID is empty." },
+			{ lineNumber: 5, reason: '"UNKNOWN" is not a known variable.' },
+			{ lineNumber: 6, reason: '"not a domain" is not a valid domain.' },
+			{ lineNumber: 7, reason: '"USA" is not a valid country code.' },
+			{ lineNumber: 8, reason: "The CONTACT variable is empty." },
+		]);
+	},
+});
+
+Deno.test({
+	name: "isValidDomain",
+	fn() {
+		assertEquals(isValidDomain("example.com"), true);
+		assertEquals(isValidDomain("sub.example-domain.co.uk"), true);
+		assertEquals(isValidDomain("xn--bcher-kva.example"), true);
+		assertEquals(isValidDomain("example"), false);
+		assertEquals(isValidDomain("-example.com"), false);
+		assertEquals(isValidDomain("example..com"), false);
+		assertEquals(isValidDomain("exa mple.com"), false);
+		assertEquals(isValidDomain(""), false);
+	},
+});
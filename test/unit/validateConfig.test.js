@@ -0,0 +1,330 @@
+import { assertEquals } from "$std/testing/asserts.ts";
+import * as yaml from "$std/encoding/yaml.ts";
+import { findYamlLine, formatConfigPath, validateConfig } from "../../src/validateConfig.js";
+
+/**
+ * @param {string} content
+ */
+function validateYaml(content) {
+	const problems = validateConfig(yaml.parse(content), content);
+	return problems.map((problem) => ({
+		path: formatConfigPath(problem.path),
+		lineNumber: problem.lineNumber,
+		message: problem.message,
+	}));
+}
+
+Deno.test({
+	name: "Valid configs have no problems",
+	fn() {
+		assertEquals(
+			validateYaml(`
+destination: /var/www/html/ads.txt
+updateInterval: 12h
+dedupe: true
+file_mode: "0644"
+file_owner: www-data
+file_group: 33
+changelog: ./ads.txt.changelog
+hosts:
+  - example.com
+  - www.example.com
+webhooks:
+  - url: https://hooks.example.com/adstxt
+    events:
+      - source_failed
+      - shrink_protection_triggered
+    headers:
+      Authorization: Bearer token
+    retries: 5
+    retry_delay: 10s
+variables:
+  OWNERDOMAIN: example.com
+  CONTACT:
+    - ads@example.com
+    - https://example.com/contact
+sources:
+  - https://example.com/ads.txt
+  - source: https://example.com/ads2.txt
+    cache_duration: 30d
+    retries: 3
+    required: true
+    transform:
+      strip_variables: true
+      exclude_account_ids:
+        - 1234567
+        - "0123"
+      rewrite:
+        - pattern: '^old-exchange\\.com,'
+          replacement: "new-exchange.com,"
+          apply_to: data
+`),
+			[],
+		);
+
+		assertEquals(
+			validateYaml(`
+- destination: ./ads1.txt
+  dedupe:
+    annotate_sources: true
+  sources:
+    - source: https://example.com/ads.txt
+      invalid_lines: drop
+      transform:
+        strip_variables:
+          - CONTACT
+- destination: ./ads2.txt
+  conflicts: prefer_direct
+  transform:
+    exclude_domains:
+      - "*.example.com"
+  sources: []
+`),
+			[],
+		);
+	},
+});
+
+Deno.test({
+	name: "Reports every problem with its line number",
+	fn() {
+		const problems = validateYaml(`
+- destinaton: ./ads1.txt
+  sources:
+    - https://example.com/ads.txt
+- destination: 5
+  updateInterval: soon
+  variables:
+    OWNER_DOMAIN: example.com
+  sources:
+    - source: https://example.com/ads.txt
+      retries: -1
+      transfrom:
+        strip_variables: true
+    - source: https://example.com/ads2.txt
+      invalid_lines: ignore
+      transform:
+        strip_variables: yes please
+    - 1234
+`);
+
+		assertEquals(problems, [
+			{
+				path: "[0]",
+				lineNumber: 2,
+				message: 'The required key "destination" is missing.',
+			},
+			{
+				path: "[0].destinaton",
+				lineNumber: 2,
+				message: 'Unknown key "destinaton".',
+			},
+			{
+				path: "[1].destination",
+				lineNumber: 5,
+				message: "Expected a string, but found 5.",
+			},
+			{
+				path: "[1].updateInterval",
+				lineNumber: 6,
+				message: '"soon" is not a valid duration, use a number followed by s, m, h or d, such as "30m".',
+			},
+			{
+				path: "[1].variables.OWNER_DOMAIN",
+				lineNumber: 8,
+				message: 'Unknown key "OWNER_DOMAIN".',
+			},
+			{
+				path: "[1].sources[0].retries",
+				lineNumber: 11,
+				message: "Expected a positive number, but found -1.",
+			},
+			{
+				path: "[1].sources[0].transfrom",
+				lineNumber: 12,
+				message: 'Unknown key "transfrom".',
+			},
+			{
+				path: "[1].sources[1].invalid_lines",
+				lineNumber: 15,
+				message: 'Expected one of "drop", "comment", "reject", but found "ignore".',
+			},
+			{
+				path: "[1].sources[1].transform.strip_variables",
+				lineNumber: 17,
+				message: 'Expected true or false or a list, but found "yes please".',
+			},
+			{
+				path: "[1].sources[2]",
+				lineNumber: 18,
+				message: "Expected a string or an object with keys, but found 1234.",
+			},
+		]);
+	},
+});
+
+Deno.test({
+	name: "Sources need exactly one of source, file or records",
+	fn() {
+		const problems = validateYaml(`
+destination: ./ads.txt
+sources:
+  - file: ./own.txt
+  - records:
+      - example.com, 1234, DIRECT
+  - invalid_lines: drop
+  - source: https://example.com/ads.txt
+    file: ./own.txt
+  - records:
+      - 1234
+`);
+
+		assertEquals(problems, [
+			{
+				path: "sources[2]",
+				lineNumber: 7,
+				message: 'One of "source", "file" or "records" is required.',
+			},
+			{
+				path: "sources[3]",
+				lineNumber: 8,
+				message: 'Only one of "source", "file" or "records" can be set.',
+			},
+			{
+				path: "sources[4].records[0]",
+				lineNumber: 11,
+				message: "Expected a string, but found 1234.",
+			},
+		]);
+	},
+});
+
+Deno.test({
+	name: "Reports invalid rewrite rules",
+	fn() {
+		const problems = validateYaml(`
+destination: ./ads.txt
+sources:
+  - source: https://example.com/ads.txt
+    transform:
+      rewrite:
+        - pattern: "(unclosed"
+          replacement: ""
+        - pattern: example
+`);
+
+		assertEquals(problems, [
+			{
+				path: "sources[0].transform.rewrite[0].pattern",
+				lineNumber: 7,
+				message: '"(unclosed" is not a valid regular expression.',
+			},
+			{
+				path: "sources[0].transform.rewrite[1]",
+				lineNumber: 9,
+				message: 'The required key "replacement" is missing.',
+			},
+		]);
+	},
+});
+
+Deno.test({
+	name: "Reports durations that contain more than a single duration",
+	fn() {
+		const problems = validateYaml(`
+destination: ./ads.txt
+cache_duration: 1h30m
+sources:
+  - source: https://example.com/ads.txt
+    retry_delay: abc5sxyz
+`);
+
+		assertEquals(problems, [
+			{
+				path: "cache_duration",
+				lineNumber: 3,
+				message: '"1h30m" is not a valid duration, use a number followed by s, m, h or d, such as "30m".',
+			},
+			{
+				path: "sources[0].retry_delay",
+				lineNumber: 6,
+				message: '"abc5sxyz" is not a valid duration, use a number followed by s, m, h or d, such as "30m".',
+			},
+		]);
+	},
+});
+
+Deno.test({
+	name: "Reports invalid webhooks",
+	fn() {
+		const problems = validateYaml(`
+destination: ./ads.txt
+webhooks:
+  - url: https://hooks.example.com
+    events:
+      - source_down
+    headers:
+      X-Retries: 3
+  - events: []
+sources: []
+`);
+
+		assertEquals(problems, [
+			{
+				path: "webhooks[0].events[0]",
+				lineNumber: 6,
+				message:
+					'Expected one of "destination_updated", "source_failed", "source_stale", "shrink_protection_triggered", "config_reload_failed", but found "source_down".',
+			},
+			{
+				path: "webhooks[0].headers.X-Retries",
+				lineNumber: 8,
+				message: "Expected a string, but found 3.",
+			},
+			{
+				path: "webhooks[1]",
+				lineNumber: 9,
+				message: 'The required key "url" is missing.',
+			},
+		]);
+	},
+});
+
+Deno.test({
+	name: "Reports empty configs",
+	fn() {
+		assertEquals(validateYaml(""), [
+			{
+				path: "",
+				lineNumber: null,
+				message: "Expected an object with keys, but found nothing.",
+			},
+		]);
+	},
+});
+
+Deno.test({
+	name: "findYamlLine",
+	fn() {
+		const content = `# comment
+destination: ./ads.txt
+sources:
+- https://example.com/ads.txt
+- source: https://example.com/ads2.txt
+
+  transform:
+    "strip_variables":
+      - CONTACT
+      - OWNERDOMAIN
+`;
+		assertEquals(findYamlLine(content, ["destination"]), 2);
+		assertEquals(findYamlLine(content, ["sources"]), 3);
+		assertEquals(findYamlLine(content, ["sources", 0]), 4);
+		assertEquals(findYamlLine(content, ["sources", 1]), 5);
+		assertEquals(findYamlLine(content, ["sources", 1, "source"]), 5);
+		assertEquals(findYamlLine(content, ["sources", 1, "transform"]), 7);
+		assertEquals(findYamlLine(content, ["sources", 1, "transform", "strip_variables", 1]), 10);
+		assertEquals(findYamlLine(content, ["sources", 1, "missing"]), 5);
+		assertEquals(findYamlLine(content, ["missing"]), null);
+	},
+});
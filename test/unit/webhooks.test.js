@@ -0,0 +1,114 @@
+import { assertEquals } from "$std/testing/asserts.ts";
+import { assertSpyCalls, stub } from "$std/testing/mock.ts";
+import { FakeTime } from "$std/testing/time.ts";
+import { sendWebhooks } from "../../src/webhooks.js";
+
+/** @type {import("../../src/webhooks.js").WebhookPayload} */
+const payload = {
+	event: "source_failed",
+	time: "2024-01-01T00:00:00.000Z",
+	destination: "/ads.txt",
+	sources: [{ name: "https://example.com/ads.txt", status: "failed" }],
+	diff: { added: 0, removed: 0, changed: 0 },
+};
+
+Deno.test({
+	name: "Only sends events to webhooks that are subscribed to them",
+	async fn() {
+		const fetchSpy = stub(globalThis, "fetch", async () => new Response("ok"));
+		try {
+			await sendWebhooks([
+				{ url: "https://hooks.example.com/all" },
+				{ url: "https://hooks.example.com/updates", events: ["destination_updated"] },
+				{
+					url: "https://hooks.example.com/failures",
+					events: ["source_failed", "source_stale"],
+					headers: { Authorization: "Bearer token" },
+				},
+			], payload);
+
+			assertSpyCalls(fetchSpy, 2);
+			assertEquals(fetchSpy.calls[0].args[0], "https://hooks.example.com/all");
+			assertEquals(fetchSpy.calls[1].args[0], "https://hooks.example.com/failures");
+			const init = fetchSpy.calls[1].args[1];
+			assertEquals(init?.method, "POST");
+			assertEquals(init?.headers, {
+				"Content-Type": "application/json",
+				Authorization: "Bearer token",
+			});
+			assertEquals(JSON.parse(String(init?.body)), payload);
+		} finally {
+			fetchSpy.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Retries failed webhooks with exponential backoff",
+	async fn() {
+		const time = new FakeTime();
+		// Makes the jitter result in exactly 75% of the maximum delay
+		const randomSpy = stub(Math, "random", () => 0.5);
+		const statuses = [500, 503, 200];
+		const fetchSpy = stub(globalThis, "fetch", async () => {
+			return new Response("", { status: statuses.shift() });
+		});
+		try {
+			const promise = sendWebhooks([
+				{ url: "https://hooks.example.com", retries: 5, retry_delay: "10s" },
+			], payload);
+
+			await time.tickAsync(0);
+			assertSpyCalls(fetchSpy, 1);
+			await time.tickAsync(7_500);
+			assertSpyCalls(fetchSpy, 2);
+			await time.tickAsync(14_000);
+			assertSpyCalls(fetchSpy, 2);
+			await time.tickAsync(1_000);
+			assertSpyCalls(fetchSpy, 3);
+
+			await promise;
+			assertSpyCalls(fetchSpy, 3);
+		} finally {
+			fetchSpy.restore();
+			randomSpy.restore();
+			time.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Stops retrying when aborted",
+	async fn() {
+		const time = new FakeTime();
+		const fetchSpy = stub(globalThis, "fetch", async () => new Response("", { status: 500 }));
+		try {
+			const abortController = new AbortController();
+			const promise = sendWebhooks([{ url: "https://hooks.example.com" }], payload, {
+				signal: abortController.signal,
+			});
+
+			await time.tickAsync(0);
+			assertSpyCalls(fetchSpy, 1);
+			abortController.abort();
+			await promise;
+			assertSpyCalls(fetchSpy, 1);
+		} finally {
+			fetchSpy.restore();
+			time.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Does not retry client errors",
+	async fn() {
+		const fetchSpy = stub(globalThis, "fetch", async () => new Response("", { status: 404 }));
+		try {
+			await sendWebhooks([{ url: "https://hooks.example.com" }], payload);
+			assertSpyCalls(fetchSpy, 1);
+		} finally {
+			fetchSpy.restore();
+		}
+	},
+});
@@ -0,0 +1,149 @@
+import { assertEquals, assertMatch, assertRejects } from "$std/testing/asserts.ts";
+import { assertSpyCalls, stub } from "$std/testing/mock.ts";
+import { parseFileMode, resolveOwnerId, writeTextFileAtomic } from "../../src/writeFileAtomic.js";
+
+Deno.test({
+	name: "Writes to a temporary file and renames it into place",
+	async fn() {
+		const writeTextFileSpy = stub(Deno, "writeTextFile", async () => {});
+		const statSpy = stub(Deno, "stat", async () => {
+			throw new Deno.errors.NotFound("not found");
+		});
+		const chmodSpy = stub(Deno, "chmod", async () => {});
+		const chownSpy = stub(Deno, "chown", async () => {});
+		const renameSpy = stub(Deno, "rename", async () => {});
+		try {
+			await writeTextFileAtomic("/var/www/ads.txt", "content", { mode: 0o644, gid: 33 });
+
+			assertSpyCalls(writeTextFileSpy, 1);
+			const [tempPath, content] = writeTextFileSpy.calls[0].args;
+			assertMatch(String(tempPath), /^\/var\/www\/\.ads\.txt\.[0-9a-f]{8}\.tmp$/);
+			assertEquals(content, "content");
+			assertEquals(chmodSpy.calls[0].args, [tempPath, 0o644]);
+			assertEquals(chownSpy.calls[0].args, [tempPath, null, 33]);
+			assertEquals(renameSpy.calls[0].args, [tempPath, "/var/www/ads.txt"]);
+		} finally {
+			writeTextFileSpy.restore();
+			statSpy.restore();
+			chmodSpy.restore();
+			chownSpy.restore();
+			renameSpy.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Still writes the file when changing the permissions fails",
+	async fn() {
+		const writeTextFileSpy = stub(Deno, "writeTextFile", async () => {});
+		const chmodSpy = stub(Deno, "chmod", async () => {
+			throw new Deno.errors.PermissionDenied("Operation not permitted");
+		});
+		const chownSpy = stub(Deno, "chown", async () => {
+			throw new Deno.errors.PermissionDenied("Operation not permitted");
+		});
+		const renameSpy = stub(Deno, "rename", async () => {});
+		try {
+			await writeTextFileAtomic("/var/www/ads.txt", "content", { mode: 0o644, uid: 33, gid: 33 });
+
+			assertSpyCalls(chmodSpy, 1);
+			assertSpyCalls(chownSpy, 1);
+			assertEquals(renameSpy.calls[0].args, [writeTextFileSpy.calls[0].args[0], "/var/www/ads.txt"]);
+		} finally {
+			writeTextFileSpy.restore();
+			chmodSpy.restore();
+			chownSpy.restore();
+			renameSpy.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Keeps the permissions and owner of the existing file",
+	async fn() {
+		const writeTextFileSpy = stub(Deno, "writeTextFile", async () => {});
+		const statSpy = stub(Deno, "stat", async (path) => {
+			const existing = path == "/var/www/ads.txt";
+			return /** @type {Deno.FileInfo} */ ({
+				isFile: true,
+				mode: existing ? 0o100640 : 0o100644,
+				uid: existing ? 33 : 0,
+				gid: existing ? 33 : 0,
+			});
+		});
+		const chmodSpy = stub(Deno, "chmod", async () => {});
+		const chownSpy = stub(Deno, "chown", async () => {});
+		const renameSpy = stub(Deno, "rename", async () => {});
+		try {
+			await writeTextFileAtomic("/var/www/ads.txt", "content", { uid: 0 });
+
+			const tempPath = writeTextFileSpy.calls[0].args[0];
+			assertEquals(chmodSpy.calls[0].args, [tempPath, 0o640]);
+			assertEquals(chownSpy.calls[0].args, [tempPath, 0, 33]);
+			assertEquals(renameSpy.calls[0].args, [tempPath, "/var/www/ads.txt"]);
+		} finally {
+			writeTextFileSpy.restore();
+			statSpy.restore();
+			chmodSpy.restore();
+			chownSpy.restore();
+			renameSpy.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "Removes the temporary file when writing fails",
+	async fn() {
+		const writeTextFileSpy = stub(Deno, "writeTextFile", async () => {});
+		const statSpy = stub(Deno, "stat", async () => {
+			throw new Deno.errors.NotFound("not found");
+		});
+		const removeSpy = stub(Deno, "remove", async () => {});
+		const renameSpy = stub(Deno, "rename", async () => {
+			throw new Deno.errors.PermissionDenied("Permission denied");
+		});
+		try {
+			await assertRejects(async () => {
+				await writeTextFileAtomic("/var/www/ads.txt", "content");
+			}, Deno.errors.PermissionDenied);
+
+			assertEquals(removeSpy.calls[0].args, [writeTextFileSpy.calls[0].args[0]]);
+		} finally {
+			writeTextFileSpy.restore();
+			statSpy.restore();
+			removeSpy.restore();
+			renameSpy.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "resolveOwnerId",
+	async fn() {
+		const readTextFileSpy = stub(Deno, "readTextFile", async () => {
+			return "root:x:0:0:root:/root:/bin/bash\nwww-data:x:33:33:www-data:/var/www:/usr/sbin/nologin\n";
+		});
+		try {
+			assertEquals(await resolveOwnerId(1000, "/etc/passwd"), 1000);
+			assertEquals(await resolveOwnerId("1000", "/etc/passwd"), 1000);
+			assertEquals(await resolveOwnerId("www-data", "/etc/passwd"), 33);
+			await assertRejects(
+				() => resolveOwnerId("nginx", "/etc/passwd"),
+				Error,
+				'"nginx" was not found in /etc/passwd.',
+			);
+		} finally {
+			readTextFileSpy.restore();
+		}
+	},
+});
+
+Deno.test({
+	name: "parseFileMode",
+	fn() {
+		assertEquals(parseFileMode("644"), 0o644);
+		assertEquals(parseFileMode("0640"), 0o640);
+		assertEquals(parseFileMode("648"), null);
+		assertEquals(parseFileMode("rw-r--r--"), null);
+	},
+});